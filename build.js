@@ -151,6 +151,21 @@ async function buildOptionsScript() {
     console.log('✓ Built options script');
 }
 
+// Build web storage content script (classic script, no module support in content scripts)
+async function buildContentScript() {
+    await esbuild.build({
+        ...esbuildConfig,
+        format: 'iife',
+        entryPoints: ['src/content/web-storage.js'],
+        outfile: 'dist/content/web-storage.js',
+        banner: {
+            js: '// Content Script - Built with esbuild\n',
+        },
+        external: ['chrome'],
+    });
+    console.log('✓ Built content script');
+}
+
 // Update HTML files to point to bundled JS (no changes needed, paths are already correct)
 async function updateHTMLFiles() {
     // HTML files already have correct paths, just ensure they're copied
@@ -166,6 +181,7 @@ async function build() {
         await buildServiceWorker();
         await buildPopup();
         await buildOptionsScript();
+        await buildContentScript();
         await updateHTMLFiles();
 
         console.log('\n✓ Build complete!');
@@ -186,6 +202,7 @@ if (isWatch) {
             'src/background/service-worker.js',
             'src/popup/popup.js',
             'src/options/options.js',
+            'src/content/web-storage.js',
         ],
         outdir: 'dist',
         outbase: 'src',
@@ -4,20 +4,47 @@
  */
 
 import { getFormattedCookiesByDomain } from '../utils/cookies.js';
-import { uploadAllDomainsToEnabledServices } from '../utils/storage.js';
-import { getConfig, getEnabledServices } from '../utils/config.js';
-import { setupCookieChangeListener, isCookieChangeForDomain } from '../utils/cookies.js';
+import { uploadAllDomainsToEnabledServices, downloadFromService } from '../utils/storage.js';
+import { getConfig, getEnabledServices, BUCKET_SERVICES, DEFAULT_CHANGE_DETECTION } from '../utils/config.js';
+import { setupCookieChangeListener, findCookieChangeDomain, restoreCookies } from '../utils/cookies.js';
 import { setupRequestMonitoring, setSyncTriggerCallback } from '../utils/api-monitor.js';
+import {
+  recordUploadResults,
+  processRetryQueue,
+  scheduleRetryAlarm,
+  RETRY_ALARM_NAME
+} from '../utils/retry-queue.js';
+import {
+  scheduleDebouncedSync,
+  updateScheduleAlarms,
+  getNextScheduledSync,
+  getScheduledDomain,
+  DEBOUNCE_ALARM_NAME
+} from '../utils/scheduler.js';
+import { updateWebStorageWatcher, recordWebStorageSnapshot } from '../utils/web-storage.js';
+import { mergePathCookies } from '../utils/formats.js';
+import { handleInspectorPort, INSPECTOR_PORT_NAME } from '../utils/request-log.js';
 
-// Debounce timer for automatic sync
-let autoSyncTimer = null;
-const AUTO_SYNC_DEBOUNCE_MS = 5000; // 5 seconds
+/**
+ * Get the Auto Sync debounce delay of a configured domain
+ * @param {Object} config - Extension configuration
+ * @param {Object|string|null} domain - Domain config or configured domain name
+ * @returns {number} Delay in ms
+ */
+function getAutoSyncDebounceMs(config, domain) {
+  const domainConfig = typeof domain === 'string'
+    ? (config.targetDomains || []).find(d => d.domain === domain)
+    : domain;
+  return domainConfig?.changeDetection?.autoSyncDebounceMs ?? DEFAULT_CHANGE_DETECTION.autoSyncDebounceMs;
+}
 
 /**
  * Perform cookie sync operation
+ * @param {Array<string>} onlyDomains - Optional subset of configured domains to sync (defaults to all)
+ * @param {Object} options - { force: upload even if a (domain, service) pair is unchanged since its last upload }
  * @returns {Promise<Object>} Sync result
  */
-async function performSync() {
+async function performSync(onlyDomains = null, { force = false } = {}) {
   try {
     const config = await getConfig();
     const enabledServices = await getEnabledServices();
@@ -30,7 +57,9 @@ async function performSync() {
     }
 
     // Get cookies per domain
-    const domainCookies = await getFormattedCookiesByDomain();
+    const domainCookies = (await getFormattedCookiesByDomain()).filter(({ domain }) =>
+      !onlyDomains || onlyDomains.includes(domain)
+    );
 
     if (domainCookies.length === 0) {
       return {
@@ -44,14 +73,20 @@ async function performSync() {
       if (Array.isArray(cookieData.cookies)) {
         // Old format: cookies is an array
         return sum + cookieData.cookies.length;
+      } else if (cookieData.paths) {
+        // Per-path format: cookies are kept per API path
+        return sum + Object.keys(mergePathCookies(cookieData.paths)).length;
       } else {
         // New format: cookies is an object
         return sum + Object.keys(cookieData.cookies || {}).length;
       }
     }, 0);
 
-    // Upload to enabled services (one file per domain)
-    const uploadResults = await uploadAllDomainsToEnabledServices(domainCookies);
+    // Upload to enabled services (one file per domain); unchanged pairs are skipped unless forced
+    const uploadResults = await uploadAllDomainsToEnabledServices(domainCookies, { force });
+
+    // Queue failed (domain, service) pairs for retry, drop pairs that succeeded
+    await recordUploadResults(uploadResults);
 
     // Check if all uploads succeeded
     const allSuccess = uploadResults.every(r => r.success);
@@ -91,12 +126,74 @@ async function performSync() {
   }
 }
 
+/**
+ * Pull synced cookies from a storage service back into the browser
+ * @param {string} service - Service to download from (defaults to first enabled)
+ * @returns {Promise<Object>} Pull result with per-domain restore report
+ */
+async function performPull(service) {
+  try {
+    const config = await getConfig();
+    const enabledServices = (await getEnabledServices()).filter(name => BUCKET_SERVICES.includes(name));
+    const sourceService = service || enabledServices[0];
+
+    if (!sourceService || !enabledServices.includes(sourceService)) {
+      return {
+        success: false,
+        error: 'No enabled storage service to pull from. Please configure one in options.'
+      };
+    }
+
+    const domains = (config.targetDomains || []).map(d =>
+      typeof d === 'string' ? d : d.domain
+    ).filter(Boolean);
+
+    const results = [];
+    for (const domain of domains) {
+      const download = await downloadFromService(sourceService, domain);
+      if (!download.success) {
+        results.push({ domain, success: false, error: download.error, restored: [], skipped: [] });
+        continue;
+      }
+
+      const { restored, skipped } = await restoreCookies(download.cookieData, domain);
+      results.push({ domain, success: true, restored, skipped });
+    }
+
+    const restoredCount = results.reduce((sum, r) => sum + r.restored.length, 0);
+    const skippedCount = results.reduce((sum, r) => sum + r.skipped.length, 0);
+    const allSuccess = results.length > 0 && results.every(r => r.success);
+
+    const pullStatus = {
+      timestamp: Date.now(),
+      service: sourceService,
+      success: allSuccess,
+      restoredCount,
+      skippedCount,
+      results
+    };
+
+    await chrome.storage.local.set({ lastPull: pullStatus });
+
+    return {
+      ...pullStatus,
+      partialSuccess: !allSuccess && results.some(r => r.success)
+    };
+  } catch (error) {
+    console.error('Pull error:', error);
+    return {
+      success: false,
+      error: error.message || 'Unknown error'
+    };
+  }
+}
+
 /**
  * Handle manual sync request
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'sync') {
-    performSync().then(result => {
+    performSync(null, { force: !!request.force }).then(result => {
       sendResponse(result);
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
@@ -104,23 +201,110 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
 
+  if (request.action === 'pull') {
+    performPull(request.service).then(result => {
+      sendResponse(result);
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (request.action === 'webStorageChanged') {
+    // Reported by the web storage content script; sender.url cannot be spoofed by the page
+    if (sender.id !== chrome.runtime.id || !sender.url) return;
+
+    getConfig().then(async config => {
+      const { domain, changed } = await recordWebStorageSnapshot(config, sender.url, request.snapshot);
+      if (changed && config.autoSync) {
+        scheduleDebouncedSync(getAutoSyncDebounceMs(config, domain), async () => {
+          console.log('Auto-sync triggered by web storage change for', domain);
+          await performSync();
+        });
+      }
+    }).catch(error => {
+      console.error('Web storage capture error:', error);
+    });
+    return;
+  }
+
   if (request.action === 'getStatus') {
-    chrome.storage.local.get(['lastSync', 'config']).then(result => {
+    Promise.all([
+      chrome.storage.local.get(['lastSync', 'config', 'retryQueue']),
+      getNextScheduledSync()
+    ]).then(([result, nextScheduledSync]) => {
       sendResponse({
         lastSync: result.lastSync || null,
-        config: result.config || null
+        config: result.config || null,
+        retryQueueDepth: (result.retryQueue || []).length,
+        nextScheduledSync
       });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
     });
     return true;
   }
 });
 
+/**
+ * Serve the request inspector of the options page
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== INSPECTOR_PORT_NAME || port.sender?.id !== chrome.runtime.id) return;
+  handleInspectorPort(port);
+});
+
+/**
+ * Handle alarms (registered at top level so they wake the service worker)
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_ALARM_NAME) {
+    processRetryQueue().then(stats => {
+      console.log('Retry queue processed:', stats);
+    }).catch(error => {
+      console.error('Retry queue processing error:', error);
+    });
+    return;
+  }
+
+  if (alarm.name === DEBOUNCE_ALARM_NAME) {
+    // The debounce timer was lost (service worker evicted); run the pending sync now
+    getConfig().then(config => {
+      if (config.autoSync) {
+        console.log('Auto-sync triggered by pending debounce alarm');
+        return performSync();
+      }
+    }).catch(error => {
+      console.error('Debounced sync error:', error);
+    });
+    return;
+  }
+
+  const scheduledDomain = getScheduledDomain(alarm.name);
+  if (scheduledDomain) {
+    getConfig().then(async config => {
+      const configured = config.targetDomains.some(d => d.domain === scheduledDomain);
+      if (config.autoSync && configured) {
+        console.log('Scheduled sync triggered for', scheduledDomain);
+        await performSync([scheduledDomain]);
+      }
+      // Re-align daily alarms (DST) and drop alarms for removed domains
+      await updateScheduleAlarms(config);
+    }).catch(error => {
+      console.error('Scheduled sync error:', error);
+    });
+  }
+});
+
 /**
  * Setup automatic sync listener
  */
 async function setupAutoSync() {
   const config = await getConfig();
 
+  // Create or clear periodic schedule alarms (cleared when auto-sync is disabled)
+  await updateScheduleAlarms(config);
+
   if (!config.autoSync) {
     return; // Auto-sync disabled
   }
@@ -134,13 +318,9 @@ async function setupAutoSync() {
   setupCookieChangeListener(async (changeInfo) => {
     const currentConfig = await getConfig();
 
-    // Extract domain list from config (handle both old and new format)
-    const domains = (currentConfig.targetDomains || []).map(d => 
-      typeof d === 'string' ? d : d.domain
-    ).filter(Boolean);
-
-    // Check if change is for a configured domain
-    if (!isCookieChangeForDomain(changeInfo, domains)) {
+    // Check if change is for a configured domain (and passes its cookie filter)
+    const domainConfig = findCookieChangeDomain(changeInfo, currentConfig.targetDomains || []);
+    if (!domainConfig) {
       return;
     }
 
@@ -149,16 +329,11 @@ async function setupAutoSync() {
       return;
     }
 
-    // Debounce: clear existing timer
-    if (autoSyncTimer) {
-      clearTimeout(autoSyncTimer);
-    }
-
-    // Set new timer
-    autoSyncTimer = setTimeout(async () => {
+    // Debounce (backed by an alarm in case the service worker is evicted)
+    scheduleDebouncedSync(getAutoSyncDebounceMs(currentConfig, domainConfig), async () => {
       console.log('Auto-sync triggered by cookie change');
       await performSync();
-    }, AUTO_SYNC_DEBOUNCE_MS);
+    });
   });
 }
 
@@ -168,7 +343,7 @@ async function setupAutoSync() {
 async function initialize() {
   console.log('Cookie Sync extension service worker initialized');
 
-  // Setup API request monitoring
+  // Setup API request monitoring (before any await: listeners must exist in the first turn)
   setupRequestMonitoring();
   
   // Set sync trigger callback for API monitor
@@ -182,12 +357,19 @@ async function initialize() {
   // Setup auto-sync if enabled
   await setupAutoSync();
 
+  // Make sure pending retries have an alarm (e.g. after browser restart)
+  await scheduleRetryAlarm();
+
+  // Inject the web storage watcher on domains that capture localStorage/sessionStorage
+  await updateWebStorageWatcher(await getConfig());
+
   // Listen for config changes to update auto-sync and monitoring
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName === 'local' && changes.config) {
       setupAutoSync();
       // Reinitialize API monitoring when config changes
       setupRequestMonitoring();
+      getConfig().then(updateWebStorageWatcher);
     }
   });
 }
@@ -0,0 +1,56 @@
+/**
+ * Web Storage Watcher (content script)
+ * Registered by the service worker on domains that capture web storage.
+ * Reports localStorage/sessionStorage to the service worker whenever it changes;
+ * key filtering happens in the service worker.
+ */
+
+const POLL_INTERVAL_MS = 5000; // Same-tab writes fire no event, so poll as well
+
+let lastReported = null;
+let pollTimer = null;
+
+/**
+ * Read a storage area into a plain object
+ * @param {string} area - 'localStorage' or 'sessionStorage'
+ * @returns {Object} Object with keys and values
+ */
+function readStorage(area) {
+  const items = {};
+  try {
+    // Accessing the property itself throws when storage is blocked
+    const storage = window[area];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      items[key] = storage.getItem(key);
+    }
+  } catch (e) {
+    // Storage can be blocked (e.g. sandboxed or opaque-origin frames); report it as empty
+  }
+  return items;
+}
+
+/**
+ * Send the current storage to the service worker if it changed since the last report
+ */
+function reportIfChanged() {
+  const snapshot = {
+    localStorage: readStorage('localStorage'),
+    sessionStorage: readStorage('sessionStorage')
+  };
+  const serialized = JSON.stringify(snapshot);
+  if (serialized === lastReported) return;
+
+  try {
+    chrome.runtime.sendMessage({ action: 'webStorageChanged', snapshot }).catch(() => {});
+    lastReported = serialized;
+  } catch (e) {
+    // Extension was reloaded or removed; stop watching this page
+    clearInterval(pollTimer);
+  }
+}
+
+reportIfChanged();
+window.addEventListener('storage', reportIfChanged);
+document.addEventListener('visibilitychange', reportIfChanged);
+pollTimer = setInterval(reportIfChanged, POLL_INTERVAL_MS);
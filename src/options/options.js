@@ -2,8 +2,58 @@
  * Options Page Logic
  */
 
-import { getConfig, saveConfig, validateDomain, validateApiPath } from '../utils/config.js';
-import { testFirebaseConnection, testSupabaseConnection, testAWSConnection } from '../utils/storage.js';
+import {
+  getConfig,
+  saveConfig,
+  validateDomain,
+  validateWebhookUrl,
+  validateSignerUrl,
+  validateS3Endpoint,
+  validateChangeDetection,
+  DEFAULT_SCHEDULE,
+  DEFAULT_WEB_STORAGE,
+  DEFAULT_RESPONSE_CAPTURE,
+  DEFAULT_HEADER_FILTER,
+  DEFAULT_COOKIE_FILTER,
+  DEFAULT_CHANGE_DETECTION
+} from '../utils/config.js';
+import { validatePattern } from '../utils/filters.js';
+import {
+  HTTP_METHODS,
+  normalizeApiRule,
+  validateApiRule,
+  testApiRule,
+  getApiRuleKey,
+  suggestPathPattern
+} from '../utils/api-rules.js';
+import { INSPECTOR_PORT_NAME } from '../utils/request-log.js';
+import { validateSchedule } from '../utils/scheduler.js';
+import { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMATS, validateOutputFormats } from '../utils/formats.js';
+import {
+  testFirebaseConnection,
+  testSupabaseConnection,
+  testAWSConnection,
+  testWebhookConnection,
+  listSnapshots,
+  restoreSnapshot
+} from '../utils/storage.js';
+import { validateEncryptionConfig, DEFAULT_PBKDF2_ITERATIONS } from '../utils/encryption.js';
+import { validateHistoryConfig } from '../utils/history.js';
+
+// S3-compatible provider presets ({region} is replaced with the preset region)
+const S3_PRESETS = {
+  aws: { endpoint: '', region: 'us-east-1', forcePathStyle: false },
+  r2: { endpoint: 'https://<account-id>.r2.cloudflarestorage.com', region: 'auto', forcePathStyle: true },
+  b2: { endpoint: 'https://s3.{region}.backblazeb2.com', region: 'us-west-004', forcePathStyle: false },
+  wasabi: { endpoint: 'https://s3.{region}.wasabisys.com', region: 'us-east-1', forcePathStyle: false },
+  minio: { endpoint: 'http://localhost:9000', region: 'us-east-1', forcePathStyle: true }
+};
+
+const SERVICE_LABELS = {
+  firebase: 'Firebase',
+  supabase: 'Supabase',
+  aws: 'AWS S3'
+};
 
 // DOM Elements
 const form = document.getElementById('optionsForm');
@@ -11,6 +61,26 @@ const domainsContainer = document.getElementById('domainsContainer');
 const addDomainButton = document.getElementById('addDomainButton');
 const domainError = document.getElementById('domainError');
 
+// Encryption
+const encryptionEnabled = document.getElementById('encryptionEnabled');
+const encryptionConfig = document.getElementById('encryptionConfig');
+const encryptionMode = document.getElementById('encryptionMode');
+const encryptionPassphraseConfig = document.getElementById('encryptionPassphraseConfig');
+const encryptionPassphrase = document.getElementById('encryptionPassphrase');
+const encryptionIterations = document.getElementById('encryptionIterations');
+const encryptionRecipientsConfig = document.getElementById('encryptionRecipientsConfig');
+const encryptionRecipientKeys = document.getElementById('encryptionRecipientKeys');
+
+// History
+const historyEnabled = document.getElementById('historyEnabled');
+const historyConfig = document.getElementById('historyConfig');
+const historyKeepLast = document.getElementById('historyKeepLast');
+const historyKeepDays = document.getElementById('historyKeepDays');
+const snapshotService = document.getElementById('snapshotService');
+const snapshotDomain = document.getElementById('snapshotDomain');
+const loadSnapshotsBtn = document.getElementById('loadSnapshots');
+const snapshotList = document.getElementById('snapshotList');
+
 // Firebase
 const firebaseEnabled = document.getElementById('firebaseEnabled');
 const firebaseConfig = document.getElementById('firebaseConfig');
@@ -32,13 +102,41 @@ const clearSupabaseBtn = document.getElementById('clearSupabase');
 // AWS
 const awsEnabled = document.getElementById('awsEnabled');
 const awsConfig = document.getElementById('awsConfig');
+const awsAuthMode = document.getElementById('awsAuthMode');
+const awsCredentialsConfig = document.getElementById('awsCredentialsConfig');
+const awsPresignedConfig = document.getElementById('awsPresignedConfig');
+const awsSignerUrl = document.getElementById('awsSignerUrl');
+const awsSignerHeaders = document.getElementById('awsSignerHeaders');
 const awsAccessKeyId = document.getElementById('awsAccessKeyId');
 const awsSecretAccessKey = document.getElementById('awsSecretAccessKey');
 const awsBucket = document.getElementById('awsBucket');
 const awsRegion = document.getElementById('awsRegion');
+const awsProvider = document.getElementById('awsProvider');
+const awsEndpoint = document.getElementById('awsEndpoint');
+const awsForcePathStyle = document.getElementById('awsForcePathStyle');
+const awsSessionToken = document.getElementById('awsSessionToken');
 const testAWSBtn = document.getElementById('testAWS');
 const clearAWSBtn = document.getElementById('clearAWS');
 
+// Webhook
+const webhookEnabled = document.getElementById('webhookEnabled');
+const webhookConfig = document.getElementById('webhookConfig');
+const webhookUrl = document.getElementById('webhookUrl');
+const webhookMethod = document.getElementById('webhookMethod');
+const webhookHeaders = document.getElementById('webhookHeaders');
+const webhookHmacSecret = document.getElementById('webhookHmacSecret');
+const webhookSignatureHeader = document.getElementById('webhookSignatureHeader');
+const webhookTimeout = document.getElementById('webhookTimeout');
+const testWebhookBtn = document.getElementById('testWebhook');
+const clearWebhookBtn = document.getElementById('clearWebhook');
+
+// Request inspector
+const inspectorFilter = document.getElementById('inspectorFilter');
+const inspectorUnmatchedOnly = document.getElementById('inspectorUnmatchedOnly');
+const inspectorClearBtn = document.getElementById('inspectorClear');
+const inspectorList = document.getElementById('inspectorList');
+const INSPECTOR_MAX_ENTRIES = 200;
+
 // Actions
 const saveButton = document.getElementById('saveButton');
 const resetButton = document.getElementById('resetButton');
@@ -47,6 +145,11 @@ const messageArea = document.getElementById('messageArea');
 // Domain configuration counter
 let domainCounter = 0;
 
+// Requests shown in the inspector (oldest first) and the port they arrive on
+let inspectorRequests = [];
+let inspectorPort = null;
+let inspectorRenderPending = false;
+
 /**
  * Show message
  */
@@ -70,6 +173,181 @@ function toggleServiceConfig(serviceEnabled, serviceConfig) {
   }
 }
 
+/**
+ * Show the settings for the selected encryption mode
+ */
+function toggleEncryptionMode() {
+  const isRecipients = encryptionMode.value === 'recipients';
+  encryptionPassphraseConfig.classList.toggle('hidden', isRecipients);
+  encryptionRecipientsConfig.classList.toggle('hidden', !isRecipients);
+}
+
+/**
+ * Show the settings for the selected AWS authentication mode
+ */
+function toggleAWSAuthMode() {
+  const isPresigned = awsAuthMode.value === 'presigned';
+  awsCredentialsConfig.classList.toggle('hidden', isPresigned);
+  awsPresignedConfig.classList.toggle('hidden', !isPresigned);
+}
+
+/**
+ * Read AWS settings from the form
+ * In pre-signed URL mode no AWS credentials are kept
+ */
+function getAWSFormConfig() {
+  const signer = {
+    authMode: awsAuthMode.value,
+    signerUrl: awsSignerUrl.value.trim(),
+    signerHeaders: awsSignerHeaders.value.trim()
+  };
+
+  if (signer.authMode === 'presigned') {
+    return {
+      enabled: awsEnabled.checked,
+      ...signer,
+      accessKeyId: '',
+      secretAccessKey: '',
+      sessionToken: '',
+      bucket: '',
+      region: 'us-east-1',
+      provider: 'aws',
+      endpoint: '',
+      forcePathStyle: false
+    };
+  }
+
+  return {
+    enabled: awsEnabled.checked,
+    ...signer,
+    accessKeyId: awsAccessKeyId.value.trim(),
+    secretAccessKey: awsSecretAccessKey.value.trim(),
+    bucket: awsBucket.value.trim(),
+    region: awsRegion.value.trim() || 'us-east-1',
+    provider: awsProvider.value,
+    endpoint: awsEndpoint.value.trim(),
+    forcePathStyle: awsForcePathStyle.checked,
+    sessionToken: awsSessionToken.value.trim()
+  };
+}
+
+/**
+ * Validate AWS form settings
+ * @returns {string|null} Error message or null if valid
+ */
+function validateAWSForm(config) {
+  if (config.authMode === 'presigned') {
+    if (!validateSignerUrl(config.signerUrl)) {
+      return 'Signer URL must use HTTPS (HTTP is only allowed for localhost)';
+    }
+    return null;
+  }
+
+  if (config.endpoint && !validateS3Endpoint(config.endpoint)) {
+    return 'S3 endpoint must be an HTTPS URL (HTTP only for localhost) with placeholders filled in';
+  }
+  return null;
+}
+
+/**
+ * Fill the snapshot browser service and domain selectors from the form
+ */
+function refreshSnapshotSelectors() {
+  const serviceToggles = { firebase: firebaseEnabled, supabase: supabaseEnabled, aws: awsEnabled };
+  const services = Object.keys(serviceToggles).filter(key => serviceToggles[key].checked);
+  const domains = getDomainConfigs().map(d => d.domain);
+
+  const selectedService = snapshotService.value;
+  snapshotService.innerHTML = services.map(key =>
+    `<option value="${key}">${SERVICE_LABELS[key]}</option>`
+  ).join('');
+  if (services.includes(selectedService)) {
+    snapshotService.value = selectedService;
+  }
+
+  // Domains are user input, so options are built as elements rather than HTML
+  const selectedDomain = snapshotDomain.value;
+  snapshotDomain.replaceChildren(...domains.map(domain => {
+    const option = document.createElement('option');
+    option.value = domain;
+    option.textContent = domain;
+    return option;
+  }));
+  if (domains.includes(selectedDomain)) {
+    snapshotDomain.value = selectedDomain;
+  }
+}
+
+/**
+ * Load and render snapshots for the selected service and domain
+ */
+async function loadSnapshots() {
+  const service = snapshotService.value;
+  const domain = snapshotDomain.value;
+
+  if (!service || !domain) {
+    showMessage('Enable a service and configure a domain first', 'info');
+    return;
+  }
+
+  loadSnapshotsBtn.disabled = true;
+  loadSnapshotsBtn.textContent = 'Loading...';
+  snapshotList.innerHTML = '';
+
+  try {
+    const result = await listSnapshots(service, domain);
+
+    if (!result.success) {
+      showMessage('Could not list snapshots: ' + result.error, 'error');
+      return;
+    }
+
+    if (result.snapshots.length === 0) {
+      snapshotList.innerHTML = '<div class="help-text">No snapshots found. Snapshots are written on sync once history is enabled and saved.</div>';
+      return;
+    }
+
+    result.snapshots.forEach(snapshot => {
+      const item = document.createElement('div');
+      item.className = 'snapshot-item';
+      item.innerHTML = `
+        <div>
+          <div class="snapshot-time"></div>
+          <div class="snapshot-key"></div>
+        </div>
+        <button type="button" class="btn btn-secondary">Restore</button>
+      `;
+      // Snapshot keys come from the bucket, so they are set as text
+      item.querySelector('.snapshot-time').textContent = new Date(snapshot.timestamp).toLocaleString();
+      item.querySelector('.snapshot-key').textContent = snapshot.key;
+      item.querySelector('button').addEventListener('click', () => restoreFromSnapshot(service, domain, snapshot));
+      snapshotList.appendChild(item);
+    });
+  } catch (error) {
+    showMessage('Error loading snapshots: ' + error.message, 'error');
+  } finally {
+    loadSnapshotsBtn.disabled = false;
+    loadSnapshotsBtn.textContent = 'Load Snapshots';
+  }
+}
+
+/**
+ * Restore a snapshot as the current file for its domain
+ */
+async function restoreFromSnapshot(service, domain, snapshot) {
+  const when = new Date(snapshot.timestamp).toLocaleString();
+  if (!confirm(`Replace ${domain}.json on ${SERVICE_LABELS[service]} with the snapshot from ${when}?`)) {
+    return;
+  }
+
+  const result = await restoreSnapshot(service, domain, snapshot.key);
+  if (result.success) {
+    showMessage(`Restored ${domain}.json from snapshot ${when}`, 'success');
+  } else {
+    showMessage('Restore failed: ' + result.error, 'error');
+  }
+}
+
 /**
  * Create domain configuration UI
  * @param {Object} domainConfig - Domain configuration object
@@ -80,6 +358,13 @@ function createDomainConfig(domainConfig = { domain: '', apiPaths: [] }, index =
   const id = index !== null ? index : domainCounter++;
   const domain = domainConfig.domain || '';
   const apiPaths = domainConfig.apiPaths || [];
+  const schedule = { ...DEFAULT_SCHEDULE, ...(domainConfig.schedule || {}) };
+  const outputFormats = domainConfig.outputFormats || DEFAULT_OUTPUT_FORMATS;
+  const webStorage = { ...DEFAULT_WEB_STORAGE, ...(domainConfig.webStorage || {}) };
+  const responseCapture = { ...DEFAULT_RESPONSE_CAPTURE, ...(domainConfig.responseCapture || {}) };
+  const headerFilter = { ...DEFAULT_HEADER_FILTER, ...(domainConfig.headerFilter || {}) };
+  const cookieFilter = { ...DEFAULT_COOKIE_FILTER, ...(domainConfig.cookieFilter || {}) };
+  const changeDetection = { ...DEFAULT_CHANGE_DETECTION, ...(domainConfig.changeDetection || {}) };
   
   const domainDiv = document.createElement('div');
   domainDiv.className = 'domain-config';
@@ -97,45 +382,209 @@ function createDomainConfig(domainConfig = { domain: '', apiPaths: [] }, index =
         class="domain-input" 
         data-domain-id="${id}"
         placeholder="binance.com"
-        value="${domain}"
         required
       >
     </div>
     
     <div class="api-paths-section">
       <label style="font-weight: 500; display: block; margin-bottom: 8px;">
-        API Paths (Optional)
-        <span class="help-text" style="font-weight: normal;">Leave empty to sync all cookies. Use * for wildcards (e.g., /api/v3/*)</span>
+        API Rules (Optional)
+        <span class="help-text" style="font-weight: normal;">Leave empty to sync all cookies. In paths, * matches within one segment and ** across segments (e.g., /api/v3/**)</span>
       </label>
       
-      <div class="api-paths-list" data-domain-id="${id}">
-        ${apiPaths.map((path, pathIndex) => `
-          <div class="api-path-item" data-path-index="${pathIndex}">
-            <input 
-              type="text" 
-              class="api-path-input" 
-              data-domain-id="${id}"
-              data-path-index="${pathIndex}"
-              placeholder="/api/v3/account"
-              value="${path}"
-            >
-            <button type="button" class="remove-path-btn" data-domain-id="${id}" data-path-index="${pathIndex}">Remove</button>
-          </div>
-        `).join('')}
-      </div>
+      <div class="api-paths-list" data-domain-id="${id}"></div>
       
       <div class="add-path-group">
         <input 
           type="text" 
           class="new-api-path-input" 
           data-domain-id="${id}"
-          placeholder="/api/v3/account or /api/v3/*"
+          placeholder="/api/v3/account or /api/v3/**"
+        >
+        <button type="button" class="add-path-btn" data-domain-id="${id}">Add Rule</button>
+      </div>
+      <div class="wildcard-hint">Tip: Each rule can also be a regular expression on the path, be limited to HTTP methods, require query parameters (name or name=value) and exclude paths. The first matching rule wins.</div>
+
+      <div class="rule-tester">
+        <label class="rule-tester-label">
+          Test URL
+          <select class="rule-tester-method">
+            ${HTTP_METHODS.map(method => `<option value="${method}">${method}</option>`).join('')}
+          </select>
+          <input type="text" class="rule-tester-url" placeholder="https://www.binance.com/api/v3/account?recvWindow=5000">
+        </label>
+        <div class="rule-tester-result"></div>
+      </div>
+
+      <label class="capture-scope-label">
+        Capture
+        <select class="capture-scope">
+          <option value="domain"${domainConfig.captureScope !== 'path' ? ' selected' : ''}>Merged for the domain</option>
+          <option value="path"${domainConfig.captureScope === 'path' ? ' selected' : ''}>Separately per API path</option>
+        </select>
+        <span class="help-text" style="font-weight: normal;">Per path keeps endpoints with different headers (e.g. authorization) from overwriting each other</span>
+      </label>
+
+      <div class="header-filter-group">
+        <label class="header-filter-label">
+          Keep headers
+          <input type="text" class="header-filter-allow" placeholder="Empty = all (e.g. authorization, x-mbx-*)">
+        </label>
+        <label class="header-filter-label">
+          Drop headers
+          <input type="text" class="header-filter-deny" placeholder="e.g. user-agent, accept-*, /^sec-/">
+        </label>
+        <label class="header-filter-label">
+          Redact headers
+          <input type="text" class="header-filter-redact" placeholder="Value replaced with a SHA-256 hash (e.g. x-api-key)">
+        </label>
+        <div class="wildcard-hint">Comma separated names or patterns: * and ? are wildcards, /.../ is a regular expression. Names are case-insensitive.</div>
+      </div>
+
+      <div class="response-capture-group">
+        <label class="checkbox-label">
+          <input type="checkbox" class="response-capture-enabled"${responseCapture.enabled ? ' checked' : ''}>
+          Capture responses
+          <span class="help-text" style="font-weight: normal;">Record Set-Cookie and the response headers below for these API paths; changes sync immediately</span>
+        </label>
+        <input
+          type="text"
+          class="response-capture-headers"
+          placeholder="Response headers, comma separated (e.g. x-csrf-token, x-amzn-remapped-authorization)"
+        >
+      </div>
+    </div>
+
+    <div class="cookie-filter-section">
+      <label style="font-weight: 500; display: block; margin-bottom: 8px;">
+        Cookie Filter
+        <span class="help-text" style="font-weight: normal;">Applies to synced cookies and to which cookie changes trigger Auto Sync</span>
+      </label>
+      <div class="header-filter-group">
+        <label class="header-filter-label">
+          Include cookies
+          <input type="text" class="cookie-filter-include" placeholder="Empty = all (e.g. session*, /^__Secure-/)">
+        </label>
+        <label class="header-filter-label">
+          Exclude cookies
+          <input type="text" class="cookie-filter-exclude" placeholder="e.g. _ga*, _gid, /^AMP_/">
+        </label>
+        <label class="header-filter-label">
+          Redact cookies
+          <input type="text" class="cookie-filter-redact" placeholder="Value replaced with a SHA-256 hash">
+        </label>
+        <div class="wildcard-hint">Comma separated names or patterns: * and ? are wildcards, /.../ is a regular expression. Names are case-sensitive.</div>
+        <div class="cookie-filter-options">
+          <label class="checkbox-label">
+            <input type="checkbox" class="cookie-filter-drop-expired"${cookieFilter.dropExpired ? ' checked' : ''}>
+            Drop expired cookies
+          </label>
+          <label class="checkbox-label">
+            <input type="checkbox" class="cookie-filter-drop-session"${cookieFilter.dropSession ? ' checked' : ''}>
+            Drop session cookies
+          </label>
+        </div>
+      </div>
+    </div>
+
+    <div class="output-formats-section">
+      <label style="font-weight: 500; display: block; margin-bottom: 8px;">
+        Output Formats
+        <span class="help-text" style="font-weight: normal;">One file per format is uploaded for this domain. Pull and snapshot history use the JSON file.</span>
+      </label>
+      <div class="output-formats-group">
+        ${Object.entries(OUTPUT_FORMATS).map(([format, { label, extension }]) => `
+          <label class="checkbox-label">
+            <input type="checkbox" class="output-format" value="${format}"${outputFormats.includes(format) ? ' checked' : ''}>
+            ${label} <code>[domain].${extension}</code>
+          </label>
+        `).join('')}
+      </div>
+    </div>
+
+    <div class="web-storage-section">
+      <label class="checkbox-label">
+        <input type="checkbox" class="web-storage-enabled"${webStorage.enabled ? ' checked' : ''}>
+        Capture Web Storage
+        <span class="help-text" style="font-weight: normal;">Add localStorage/sessionStorage from open tabs to the payload</span>
+      </label>
+      <div class="web-storage-options">
+        <label class="checkbox-label">
+          <input type="checkbox" class="web-storage-local"${webStorage.local ? ' checked' : ''}>
+          localStorage
+        </label>
+        <label class="checkbox-label">
+          <input type="checkbox" class="web-storage-session"${webStorage.session ? ' checked' : ''}>
+          sessionStorage
+        </label>
+        <input
+          type="text"
+          class="web-storage-keys"
+          placeholder="Keys, comma separated (empty = all keys)"
         >
-        <button type="button" class="add-path-btn" data-domain-id="${id}">Add Path</button>
       </div>
-      <div class="wildcard-hint">Tip: Use * for wildcards (e.g., /api/v3/* matches all paths under /api/v3/)</div>
+    </div>
+
+    <div class="change-detection-section">
+      <label style="font-weight: 500; display: block; margin-bottom: 8px;">
+        Change Detection
+        <span class="help-text" style="font-weight: normal;">When a detected change starts a sync</span>
+      </label>
+      <div class="change-detection-group">
+        <label>
+          Header change threshold (%)
+          <input type="number" class="change-threshold" min="0" max="100" step="1" value="${changeDetection.headerChangeThreshold}">
+        </label>
+        <label>
+          API path debounce (ms)
+          <input type="number" class="change-api-debounce" min="0" step="100" value="${changeDetection.apiSyncDebounceMs}">
+        </label>
+        <label>
+          Auto Sync debounce (ms)
+          <input type="number" class="change-auto-debounce" min="0" step="100" value="${changeDetection.autoSyncDebounceMs}">
+        </label>
+      </div>
+      <div class="header-filter-group">
+        <label class="header-filter-label">
+          Significant headers
+          <input type="text" class="change-significant-headers" placeholder="Always sync when these change (e.g. authorization, x-csrf-token)">
+        </label>
+      </div>
+    </div>
+
+    <div class="schedule-section">
+      <label style="font-weight: 500; display: block; margin-bottom: 8px;">
+        Scheduled Sync
+        <span class="help-text" style="font-weight: normal;">Also sync this domain periodically while Auto Sync is enabled</span>
+      </label>
+      <div class="schedule-group">
+        <select class="schedule-mode" data-domain-id="${id}">
+          <option value="off"${schedule.mode === 'off' ? ' selected' : ''}>Off</option>
+          <option value="interval"${schedule.mode === 'interval' ? ' selected' : ''}>Every N minutes</option>
+          <option value="daily"${schedule.mode === 'daily' ? ' selected' : ''}>Daily at</option>
+        </select>
+        <input type="number" class="schedule-interval" min="1" step="1" value="${schedule.intervalMinutes}">
+        <input type="time" class="schedule-time" value="${schedule.dailyTime}">
+      </div>
     </div>
   `;
+
+  // Set user-entered values as properties so they never need HTML escaping
+  const textValues = {
+    '.domain-input': domain,
+    '.header-filter-allow': headerFilter.allow.join(', '),
+    '.header-filter-deny': headerFilter.deny.join(', '),
+    '.header-filter-redact': headerFilter.redact.join(', '),
+    '.response-capture-headers': responseCapture.headers.join(', '),
+    '.cookie-filter-include': cookieFilter.include.join(', '),
+    '.cookie-filter-exclude': cookieFilter.exclude.join(', '),
+    '.cookie-filter-redact': cookieFilter.redact.join(', '),
+    '.web-storage-keys': webStorage.keys.join(', '),
+    '.change-significant-headers': changeDetection.significantHeaders.join(', ')
+  };
+  Object.entries(textValues).forEach(([selector, value]) => {
+    domainDiv.querySelector(selector).value = value;
+  });
   
   // Add event listeners
   const removeDomainBtn = domainDiv.querySelector('.remove-domain-btn');
@@ -152,17 +601,150 @@ function createDomainConfig(domainConfig = { domain: '', apiPaths: [] }, index =
     }
   });
   
-  // Add remove listeners for existing paths
-  domainDiv.querySelectorAll('.remove-path-btn').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const pathIndex = parseInt(e.target.dataset.pathIndex);
-      removeApiPath(id, pathIndex);
-    });
-  });
+  const webStorageEnabled = domainDiv.querySelector('.web-storage-enabled');
+  webStorageEnabled.addEventListener('change', () => toggleWebStorageOptions(domainDiv));
+  toggleWebStorageOptions(domainDiv);
+
+  const scheduleMode = domainDiv.querySelector('.schedule-mode');
+  scheduleMode.addEventListener('change', () => toggleScheduleInputs(domainDiv));
+  toggleScheduleInputs(domainDiv);
+
+  apiPaths.forEach(rule => appendApiRule(domainDiv, normalizeApiRule(rule)));
+
+  // Re-run the URL tester whenever the domain or its rules change
+  domainDiv.addEventListener('input', () => updateRuleTester(domainDiv));
+  domainDiv.addEventListener('change', () => updateRuleTester(domainDiv));
   
   return domainDiv;
 }
 
+/**
+ * Show only the schedule input matching the selected schedule mode
+ * @param {HTMLElement} domainDiv - Domain config element
+ */
+function toggleScheduleInputs(domainDiv) {
+  const mode = domainDiv.querySelector('.schedule-mode').value;
+  domainDiv.querySelector('.schedule-interval').classList.toggle('hidden', mode !== 'interval');
+  domainDiv.querySelector('.schedule-time').classList.toggle('hidden', mode !== 'daily');
+}
+
+/**
+ * Read the schedule settings of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Object} Schedule { mode, intervalMinutes, dailyTime }
+ */
+function getScheduleConfig(domainDiv) {
+  return {
+    mode: domainDiv.querySelector('.schedule-mode').value,
+    intervalMinutes: parseInt(domainDiv.querySelector('.schedule-interval').value, 10),
+    dailyTime: domainDiv.querySelector('.schedule-time').value
+  };
+}
+
+/**
+ * Read the selected output formats of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Array<string>} Format keys
+ */
+function getOutputFormats(domainDiv) {
+  return Array.from(domainDiv.querySelectorAll('.output-format:checked')).map(input => input.value);
+}
+
+/**
+ * Show web storage options only when capture is enabled
+ * @param {HTMLElement} domainDiv - Domain config element
+ */
+function toggleWebStorageOptions(domainDiv) {
+  const enabled = domainDiv.querySelector('.web-storage-enabled').checked;
+  domainDiv.querySelector('.web-storage-options').classList.toggle('hidden', !enabled);
+}
+
+/**
+ * Read the web storage settings of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Object} Web storage settings { enabled, local, session, keys }
+ */
+function getWebStorageConfig(domainDiv) {
+  return {
+    enabled: domainDiv.querySelector('.web-storage-enabled').checked,
+    local: domainDiv.querySelector('.web-storage-local').checked,
+    session: domainDiv.querySelector('.web-storage-session').checked,
+    keys: domainDiv.querySelector('.web-storage-keys').value
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Split a comma separated list of names or patterns
+ * Regex patterns (/.../) may contain commas, so commas inside slashes are kept
+ * @param {string} value - Input value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parsePatternList(value) {
+  return (value.match(/\s*\/(?:\\.|[^/])+\/|[^,]+/g) || [])
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the header filter of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Object} Header filter { allow, deny, redact }
+ */
+function getHeaderFilterConfig(domainDiv) {
+  return {
+    allow: parsePatternList(domainDiv.querySelector('.header-filter-allow').value),
+    deny: parsePatternList(domainDiv.querySelector('.header-filter-deny').value),
+    redact: parsePatternList(domainDiv.querySelector('.header-filter-redact').value)
+  };
+}
+
+/**
+ * Read the cookie filter of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Object} Cookie filter { include, exclude, redact, dropExpired, dropSession }
+ */
+function getCookieFilterConfig(domainDiv) {
+  return {
+    include: parsePatternList(domainDiv.querySelector('.cookie-filter-include').value),
+    exclude: parsePatternList(domainDiv.querySelector('.cookie-filter-exclude').value),
+    redact: parsePatternList(domainDiv.querySelector('.cookie-filter-redact').value),
+    dropExpired: domainDiv.querySelector('.cookie-filter-drop-expired').checked,
+    dropSession: domainDiv.querySelector('.cookie-filter-drop-session').checked
+  };
+}
+
+/**
+ * Read the change detection settings of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Object} { headerChangeThreshold, significantHeaders, apiSyncDebounceMs, autoSyncDebounceMs }
+ */
+function getChangeDetectionConfig(domainDiv) {
+  return {
+    headerChangeThreshold: Number(domainDiv.querySelector('.change-threshold').value),
+    significantHeaders: parsePatternList(domainDiv.querySelector('.change-significant-headers').value),
+    apiSyncDebounceMs: Number(domainDiv.querySelector('.change-api-debounce').value),
+    autoSyncDebounceMs: Number(domainDiv.querySelector('.change-auto-debounce').value)
+  };
+}
+
+/**
+ * Read the response capture settings of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Object} Response capture settings { enabled, headers }
+ */
+function getResponseCaptureConfig(domainDiv) {
+  return {
+    enabled: domainDiv.querySelector('.response-capture-enabled').checked,
+    headers: domainDiv.querySelector('.response-capture-headers').value
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+  };
+}
+
 /**
  * Add a new domain configuration
  */
@@ -187,7 +769,46 @@ function removeDomain(domainId) {
 }
 
 /**
- * Add an API path to a domain
+ * Append an API rule editor to a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @param {Object} rule - Normalized API rule
+ */
+function appendApiRule(domainDiv, rule) {
+  const ruleItem = document.createElement('div');
+  ruleItem.className = 'api-path-item';
+  ruleItem.innerHTML = `
+    <div class="api-rule-main">
+      <select class="api-rule-type">
+        <option value="path">Path</option>
+        <option value="regex">Regex</option>
+      </select>
+      <input type="text" class="api-path-input" placeholder="/api/v3/account">
+      <button type="button" class="remove-path-btn">Remove</button>
+    </div>
+    <div class="api-rule-options">
+      <input type="text" class="api-rule-methods" placeholder="Methods (empty = any, e.g. GET, POST)">
+      <input type="text" class="api-rule-query" placeholder="Required query (e.g. symbol, type=LIMIT)">
+      <input type="text" class="api-rule-exclude" placeholder="Exclude paths (e.g. /api/v3/ping)">
+    </div>
+  `;
+
+  // Set values as properties so patterns never need HTML escaping
+  ruleItem.querySelector('.api-rule-type').value = rule.type;
+  ruleItem.querySelector('.api-path-input').value = rule.pattern;
+  ruleItem.querySelector('.api-rule-methods').value = rule.methods.join(', ');
+  ruleItem.querySelector('.api-rule-query').value = rule.query.join(', ');
+  ruleItem.querySelector('.api-rule-exclude').value = rule.exclude.join(', ');
+
+  ruleItem.querySelector('.remove-path-btn').addEventListener('click', () => {
+    ruleItem.remove();
+    updateRuleTester(domainDiv);
+  });
+
+  domainDiv.querySelector('.api-paths-list').appendChild(ruleItem);
+}
+
+/**
+ * Add an API rule to a domain
  */
 function addApiPath(domainId) {
   const domainDiv = domainsContainer.querySelector(`[data-domain-id="${domainId}"]`);
@@ -200,63 +821,211 @@ function addApiPath(domainId) {
     showMessage('Please enter an API path', 'error');
     return;
   }
-  
-  if (!validateApiPath(path)) {
-    showMessage('Invalid API path. Must start with / and can contain wildcards (*)', 'error');
+
+  const rule = normalizeApiRule({ type: 'path', pattern: path });
+  const ruleError = validateApiRule(rule);
+  if (ruleError) {
+    showMessage(ruleError, 'error');
     return;
   }
   
-  const pathsList = domainDiv.querySelector('.api-paths-list');
-  const pathIndex = pathsList.children.length;
-  
-  const pathItem = document.createElement('div');
-  pathItem.className = 'api-path-item';
-  pathItem.dataset.pathIndex = pathIndex;
-  pathItem.innerHTML = `
-    <input 
-      type="text" 
-      class="api-path-input" 
-      data-domain-id="${domainId}"
-      data-path-index="${pathIndex}"
-      placeholder="/api/v3/account"
-      value="${path}"
-    >
-    <button type="button" class="remove-path-btn" data-domain-id="${domainId}" data-path-index="${pathIndex}">Remove</button>
-  `;
-  
-  const removeBtn = pathItem.querySelector('.remove-path-btn');
-  removeBtn.addEventListener('click', () => removeApiPath(domainId, pathIndex));
-  
-  pathsList.appendChild(pathItem);
+  appendApiRule(domainDiv, rule);
   newPathInput.value = '';
+  updateRuleTester(domainDiv);
 }
 
 /**
- * Remove an API path from a domain
+ * Split a comma separated list
+ * @param {string} value - Input value
+ * @returns {string[]} Trimmed, non-empty entries
  */
-function removeApiPath(domainId, pathIndex) {
-  const domainDiv = domainsContainer.querySelector(`[data-domain-id="${domainId}"]`);
-  if (!domainDiv) return;
-  
-  const pathItem = domainDiv.querySelector(`[data-path-index="${pathIndex}"]`);
-  if (pathItem) {
-    pathItem.remove();
-    
-    // Reindex remaining paths
-    const pathsList = domainDiv.querySelector('.api-paths-list');
-    Array.from(pathsList.children).forEach((item, index) => {
-      item.dataset.pathIndex = index;
-      const input = item.querySelector('.api-path-input');
-      const btn = item.querySelector('.remove-path-btn');
-      if (input) {
-        input.dataset.pathIndex = index;
-      }
-      if (btn) {
-        btn.dataset.pathIndex = index;
-        btn.onclick = () => removeApiPath(domainId, index);
+function parseList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Read the API rules of a domain config element
+ * @param {HTMLElement} domainDiv - Domain config element
+ * @returns {Array<Object>} Normalized API rules (rules without a pattern are left out)
+ */
+function getApiRules(domainDiv) {
+  return Array.from(domainDiv.querySelectorAll('.api-path-item'))
+    .map(ruleItem => normalizeApiRule({
+      type: ruleItem.querySelector('.api-rule-type').value,
+      pattern: ruleItem.querySelector('.api-path-input').value,
+      methods: parseList(ruleItem.querySelector('.api-rule-methods').value),
+      query: parseList(ruleItem.querySelector('.api-rule-query').value),
+      exclude: parseList(ruleItem.querySelector('.api-rule-exclude').value)
+    }))
+    .filter(rule => rule.pattern);
+}
+
+/**
+ * Show which API rule of a domain matches the URL in its tester
+ * @param {HTMLElement} domainDiv - Domain config element
+ */
+function updateRuleTester(domainDiv) {
+  const result = domainDiv.querySelector('.rule-tester-result');
+  const value = domainDiv.querySelector('.rule-tester-url').value.trim();
+  result.className = 'rule-tester-result';
+
+  if (!value) {
+    result.textContent = '';
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    result.textContent = 'Enter a full URL, including https://';
+    result.classList.add('no-match');
+    return;
+  }
+
+  const domain = domainDiv.querySelector('.domain-input').value.trim().replace(/^\./, '');
+  if (domain && url.hostname !== domain && !url.hostname.endsWith('.' + domain)) {
+    result.textContent = `${url.hostname} is not part of ${domain}`;
+    result.classList.add('no-match');
+    return;
+  }
+
+  const rules = getApiRules(domainDiv);
+  if (rules.length === 0) {
+    result.textContent = 'No API rules: all cookies of the domain are synced';
+    return;
+  }
+
+  const method = domainDiv.querySelector('.rule-tester-method').value;
+  const outcomes = rules.map((rule, index) => ({
+    index,
+    key: getApiRuleKey(rule),
+    reason: validateApiRule(rule) || testApiRule(rule, url, method)
+  }));
+
+  const match = outcomes.find(outcome => outcome.reason === null);
+  if (match) {
+    result.textContent = `Matches rule ${match.index + 1}: ${match.key}`;
+    result.classList.add('match');
+    return;
+  }
+
+  result.textContent = 'No rule matches. ' + outcomes
+    .map(outcome => `Rule ${outcome.index + 1} (${outcome.key}): ${outcome.reason}`)
+    .join('; ');
+  result.classList.add('no-match');
+}
+
+/**
+ * Connect to the request inspector in the service worker
+ * Reconnects when the port closes (e.g. the service worker was restarted)
+ */
+function connectInspector() {
+  inspectorPort = chrome.runtime.connect({ name: INSPECTOR_PORT_NAME });
+
+  inspectorPort.onMessage.addListener(message => {
+    if (message.type === 'snapshot') {
+      inspectorRequests = message.requests;
+    } else if (message.type === 'request') {
+      inspectorRequests.push(message.request);
+      if (inspectorRequests.length > INSPECTOR_MAX_ENTRIES) {
+        inspectorRequests.shift();
       }
-    });
+    }
+    scheduleInspectorRender();
+  });
+
+  inspectorPort.onDisconnect.addListener(() => {
+    inspectorPort = null;
+    setTimeout(connectInspector, 1000);
+  });
+}
+
+/**
+ * Render the inspector at most once per frame (requests can arrive in bursts)
+ */
+function scheduleInspectorRender() {
+  if (inspectorRenderPending) return;
+  inspectorRenderPending = true;
+  requestAnimationFrame(() => {
+    inspectorRenderPending = false;
+    renderInspector();
+  });
+}
+
+/**
+ * Render the recorded requests, newest first
+ * Request data comes from web pages, so it is only ever set as text
+ */
+function renderInspector() {
+  const filter = inspectorFilter.value.trim().toLowerCase();
+  const requests = inspectorRequests
+    .filter(request => !inspectorUnmatchedOnly.checked || !request.matchedRule)
+    .filter(request => !filter || `${request.host}${request.path}`.toLowerCase().includes(filter))
+    .reverse();
+
+  inspectorList.innerHTML = '';
+
+  if (requests.length === 0) {
+    inspectorList.innerHTML = '<div class="help-text">No requests recorded yet. Browse a configured domain to see its requests here.</div>';
+    return;
   }
+
+  requests.forEach(request => {
+    const item = document.createElement('div');
+    item.className = `inspector-item${request.matchedRule ? ' matched' : ''}`;
+    item.title = 'Click to add an API rule for this path';
+    item.innerHTML = `
+      <div class="inspector-summary">
+        <span class="inspector-method"></span>
+        <span class="inspector-path"></span>
+        <span class="inspector-match"></span>
+      </div>
+      <div class="inspector-headers"></div>
+    `;
+
+    const query = request.queryNames.length > 0 ? `?${request.queryNames.join('&')}` : '';
+    item.querySelector('.inspector-method').textContent = request.method;
+    item.querySelector('.inspector-path').textContent = `${request.host}${request.path}${query}`;
+    item.querySelector('.inspector-match').textContent = request.matchedRule
+      ? `Matched ${request.matchedRule}`
+      : 'Not matched';
+    item.querySelector('.inspector-headers').textContent =
+      `${new Date(request.timestamp).toLocaleTimeString()} · ${request.type} · Headers: ${request.headerNames.join(', ') || 'none'}`;
+
+    item.addEventListener('click', () => addRuleFromRequest(request));
+    inspectorList.appendChild(item);
+  });
+}
+
+/**
+ * Add an API rule for an inspected request to its domain
+ * @param {Object} request - Recorded request
+ */
+function addRuleFromRequest(request) {
+  const domainDiv = Array.from(domainsContainer.children).find(div =>
+    div.querySelector('.domain-input').value.trim() === request.domain
+  );
+  if (!domainDiv) {
+    showMessage(`Domain ${request.domain} is no longer configured`, 'error');
+    return;
+  }
+
+  const rule = normalizeApiRule({ type: 'path', pattern: suggestPathPattern(request.path) });
+  const key = getApiRuleKey(rule);
+
+  if (getApiRules(domainDiv).some(existing => getApiRuleKey(existing) === key)) {
+    showMessage(`${request.domain} already has the rule ${key}`, 'info');
+  } else {
+    appendApiRule(domainDiv, rule);
+    showMessage(`Added rule ${key} to ${request.domain}. Save to apply it.`, 'success');
+  }
+
+  // Show the result in the domain's URL tester
+  domainDiv.querySelector('.rule-tester-method').value = request.method;
+  domainDiv.querySelector('.rule-tester-url').value = `https://${request.host}${request.path}`;
+  updateRuleTester(domainDiv);
+  domainDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
 /**
@@ -287,14 +1056,53 @@ function validateDomains() {
       return;
     }
     
-    // Validate API paths
-    const pathInputs = domainDiv.querySelectorAll('.api-path-input');
-    pathInputs.forEach((pathInput, pathIndex) => {
-      const path = pathInput.value.trim();
-      if (path && !validateApiPath(path)) {
-        errors.push(`Domain ${index + 1}, API path ${pathIndex + 1} (${path}) is invalid`);
+    // Validate API rules
+    const apiRules = getApiRules(domainDiv);
+    apiRules.forEach((rule, ruleIndex) => {
+      const ruleError = validateApiRule(rule);
+      if (ruleError) {
+        errors.push(`Domain ${index + 1}, API rule ${ruleIndex + 1}: ${ruleError}`);
+      }
+    });
+
+    const formatError = validateOutputFormats(getOutputFormats(domainDiv));
+    if (formatError) {
+      errors.push(`Domain ${index + 1} (${domain}): ${formatError}`);
+    }
+
+    const headerFilter = getHeaderFilterConfig(domainDiv);
+    const cookieFilter = getCookieFilterConfig(domainDiv);
+    const changeDetection = getChangeDetectionConfig(domainDiv);
+    [
+      ...headerFilter.allow, ...headerFilter.deny, ...headerFilter.redact,
+      ...cookieFilter.include, ...cookieFilter.exclude, ...cookieFilter.redact,
+      ...changeDetection.significantHeaders
+    ].forEach(pattern => {
+      const patternError = validatePattern(pattern);
+      if (patternError) {
+        errors.push(`Domain ${index + 1} (${domain}): ${patternError}`);
       }
     });
+
+    const responseCapture = getResponseCaptureConfig(domainDiv);
+    if (responseCapture.enabled && apiRules.length === 0) {
+      errors.push(`Domain ${index + 1} (${domain}): response capture needs at least one API rule`);
+    }
+
+    const webStorage = getWebStorageConfig(domainDiv);
+    if (webStorage.enabled && !webStorage.local && !webStorage.session) {
+      errors.push(`Domain ${index + 1} (${domain}): select localStorage and/or sessionStorage to capture`);
+    }
+
+    const changeDetectionError = validateChangeDetection(changeDetection);
+    if (changeDetectionError) {
+      errors.push(`Domain ${index + 1} (${domain}): ${changeDetectionError}`);
+    }
+
+    const scheduleError = validateSchedule(getScheduleConfig(domainDiv));
+    if (scheduleError) {
+      errors.push(`Domain ${index + 1} (${domain}): ${scheduleError}`);
+    }
   });
   
   if (errors.length > 0) {
@@ -320,18 +1128,17 @@ function getDomainConfigs() {
     
     if (!domain) return;
     
-    const apiPaths = [];
-    const pathInputs = domainDiv.querySelectorAll('.api-path-input');
-    pathInputs.forEach(pathInput => {
-      const path = pathInput.value.trim();
-      if (path) {
-        apiPaths.push(path);
-      }
-    });
-    
     domainConfigs.push({
       domain,
-      apiPaths
+      apiPaths: getApiRules(domainDiv),
+      captureScope: domainDiv.querySelector('.capture-scope').value,
+      schedule: getScheduleConfig(domainDiv),
+      outputFormats: getOutputFormats(domainDiv),
+      webStorage: getWebStorageConfig(domainDiv),
+      responseCapture: getResponseCaptureConfig(domainDiv),
+      headerFilter: getHeaderFilterConfig(domainDiv),
+      cookieFilter: getCookieFilterConfig(domainDiv),
+      changeDetection: getChangeDetectionConfig(domainDiv)
     });
   });
   
@@ -356,7 +1163,9 @@ async function loadConfig() {
       if (typeof item === 'string') {
         return { domain: item, apiPaths: [] };
       }
+      // Per-domain settings are already normalized by getConfig
       return {
+        ...item,
         domain: item.domain || '',
         apiPaths: Array.isArray(item.apiPaths) ? item.apiPaths : []
       };
@@ -372,6 +1181,21 @@ async function loadConfig() {
       addDomain();
     }
 
+    // Load Encryption
+    encryptionEnabled.checked = config.encryption?.enabled || false;
+    encryptionMode.value = config.encryption?.mode || 'passphrase';
+    encryptionPassphrase.value = config.encryption?.passphrase || '';
+    encryptionIterations.value = config.encryption?.iterations || DEFAULT_PBKDF2_ITERATIONS;
+    encryptionRecipientKeys.value = config.encryption?.recipientKeys || '';
+    toggleServiceConfig(encryptionEnabled, encryptionConfig);
+    toggleEncryptionMode();
+
+    // Load History
+    historyEnabled.checked = config.history?.enabled || false;
+    historyKeepLast.value = config.history?.keepLast ?? 10;
+    historyKeepDays.value = config.history?.keepDays ?? 0;
+    toggleServiceConfig(historyEnabled, historyConfig);
+
     // Load Firebase
     firebaseEnabled.checked = config.services.firebase?.enabled || false;
     firebaseProjectId.value = config.services.firebase?.projectId || '';
@@ -388,17 +1212,52 @@ async function loadConfig() {
 
     // Load AWS
     awsEnabled.checked = config.services.aws?.enabled || false;
+    awsAuthMode.value = config.services.aws?.authMode || 'credentials';
+    awsSignerUrl.value = config.services.aws?.signerUrl || '';
+    awsSignerHeaders.value = config.services.aws?.signerHeaders || '';
     awsAccessKeyId.value = config.services.aws?.accessKeyId || '';
     awsSecretAccessKey.value = config.services.aws?.secretAccessKey || '';
     awsBucket.value = config.services.aws?.bucket || '';
     awsRegion.value = config.services.aws?.region || 'us-east-1';
+    awsProvider.value = config.services.aws?.provider || 'aws';
+    awsEndpoint.value = config.services.aws?.endpoint || '';
+    awsForcePathStyle.checked = config.services.aws?.forcePathStyle || false;
+    awsSessionToken.value = config.services.aws?.sessionToken || '';
     toggleServiceConfig(awsEnabled, awsConfig);
+    toggleAWSAuthMode();
+
+    // Load Webhook
+    webhookEnabled.checked = config.services.webhook?.enabled || false;
+    webhookUrl.value = config.services.webhook?.url || '';
+    webhookMethod.value = config.services.webhook?.method || 'POST';
+    webhookHeaders.value = config.services.webhook?.headers || '';
+    webhookHmacSecret.value = config.services.webhook?.hmacSecret || '';
+    webhookSignatureHeader.value = config.services.webhook?.signatureHeader || 'X-Cookie-Sync-Signature';
+    webhookTimeout.value = config.services.webhook?.timeoutSeconds || 10;
+    toggleServiceConfig(webhookEnabled, webhookConfig);
+
+    refreshSnapshotSelectors();
   } catch (error) {
     console.error('Error loading config:', error);
     showMessage('Error loading configuration', 'error');
   }
 }
 
+/**
+ * Read webhook settings from the form
+ */
+function getWebhookFormConfig() {
+  return {
+    enabled: webhookEnabled.checked,
+    url: webhookUrl.value.trim(),
+    method: webhookMethod.value,
+    headers: webhookHeaders.value.trim(),
+    hmacSecret: webhookHmacSecret.value,
+    signatureHeader: webhookSignatureHeader.value.trim() || 'X-Cookie-Sync-Signature',
+    timeoutSeconds: parseInt(webhookTimeout.value, 10) || 10
+  };
+}
+
 /**
  * Save configuration
  */
@@ -414,9 +1273,53 @@ async function saveConfiguration() {
     return;
   }
 
+  const encryption = {
+    enabled: encryptionEnabled.checked,
+    mode: encryptionMode.value,
+    passphrase: encryptionPassphrase.value,
+    iterations: parseInt(encryptionIterations.value, 10) || DEFAULT_PBKDF2_ITERATIONS,
+    recipientKeys: encryptionRecipientKeys.value.trim()
+  };
+
+  const encryptionError = validateEncryptionConfig(encryption);
+  if (encryptionError) {
+    showMessage(encryptionError, 'error');
+    return;
+  }
+
+  const history = {
+    enabled: historyEnabled.checked,
+    keepLast: parseInt(historyKeepLast.value, 10),
+    keepDays: parseInt(historyKeepDays.value, 10)
+  };
+
+  const historyError = validateHistoryConfig(history);
+  if (historyError) {
+    showMessage(historyError, 'error');
+    return;
+  }
+
+  const awsFormConfig = getAWSFormConfig();
+  const awsError = awsEnabled.checked ? validateAWSForm(awsFormConfig) : null;
+  if (awsError) {
+    showMessage(awsError, 'error');
+    return;
+  }
+
+  if (webhookEnabled.checked && !validateWebhookUrl(webhookUrl.value)) {
+    showMessage('Webhook URL must use HTTPS (HTTP is only allowed for localhost)', 'error');
+    return;
+  }
+
   const config = {
     targetDomains: domainConfigs,
     autoSync: false, // Will be set from popup
+    encryption,
+    history: {
+      ...history,
+      keepLast: history.keepLast || 0,
+      keepDays: history.keepDays || 0
+    },
     services: {
       firebase: {
         enabled: firebaseEnabled.checked,
@@ -430,13 +1333,8 @@ async function saveConfiguration() {
         apiKey: supabaseApiKey.value.trim(),
         bucket: supabaseBucket.value.trim()
       },
-      aws: {
-        enabled: awsEnabled.checked,
-        accessKeyId: awsAccessKeyId.value.trim(),
-        secretAccessKey: awsSecretAccessKey.value.trim(),
-        bucket: awsBucket.value.trim(),
-        region: awsRegion.value.trim() || 'us-east-1'
-      }
+      aws: awsFormConfig,
+      webhook: getWebhookFormConfig()
     }
   };
 
@@ -462,6 +1360,22 @@ async function resetToDefaults() {
   addDomain();
   domainError.classList.remove('show');
 
+  // Reset Encryption
+  encryptionEnabled.checked = false;
+  encryptionMode.value = 'passphrase';
+  encryptionPassphrase.value = '';
+  encryptionIterations.value = DEFAULT_PBKDF2_ITERATIONS;
+  encryptionRecipientKeys.value = '';
+  toggleServiceConfig(encryptionEnabled, encryptionConfig);
+  toggleEncryptionMode();
+
+  // Reset History
+  historyEnabled.checked = false;
+  historyKeepLast.value = 10;
+  historyKeepDays.value = 0;
+  snapshotList.innerHTML = '';
+  toggleServiceConfig(historyEnabled, historyConfig);
+
   // Reset Firebase
   firebaseEnabled.checked = false;
   firebaseProjectId.value = '';
@@ -482,8 +1396,14 @@ async function resetToDefaults() {
   awsSecretAccessKey.value = '';
   awsBucket.value = '';
   awsRegion.value = 'us-east-1';
+  clearAWSEndpointFields();
   toggleServiceConfig(awsEnabled, awsConfig);
 
+  // Reset Webhook
+  webhookEnabled.checked = false;
+  clearWebhookFields();
+  toggleServiceConfig(webhookEnabled, webhookConfig);
+
   // Clear stored config
   await chrome.storage.local.remove('config');
   showMessage('Configuration reset to defaults', 'info');
@@ -570,12 +1490,18 @@ async function testAWS() {
   testAWSBtn.textContent = 'Testing...';
 
   try {
-    const config = {
-      accessKeyId: awsAccessKeyId.value.trim(),
-      secretAccessKey: awsSecretAccessKey.value.trim(),
-      bucket: awsBucket.value.trim(),
-      region: awsRegion.value.trim() || 'us-east-1'
-    };
+    const config = getAWSFormConfig();
+
+    const awsError = validateAWSForm(config);
+    if (awsError) {
+      showMessage(awsError, 'error');
+      return;
+    }
+
+    // The test runs from this page, so it needs permission for the signer origin
+    if (config.authMode === 'presigned') {
+      await chrome.permissions.request({ origins: [`${new URL(config.signerUrl).origin}/*`] }).catch(() => false);
+    }
 
     const result = await testAWSConnection(config);
     
@@ -592,6 +1518,41 @@ async function testAWS() {
   }
 }
 
+/**
+ * Test webhook connection
+ */
+async function testWebhook() {
+  if (!webhookEnabled.checked) {
+    showMessage('Please enable Webhook first', 'info');
+    return;
+  }
+
+  testWebhookBtn.disabled = true;
+  testWebhookBtn.textContent = 'Testing...';
+
+  try {
+    const config = getWebhookFormConfig();
+
+    // The test runs from this page, so it needs permission for the webhook origin
+    if (validateWebhookUrl(config.url)) {
+      await chrome.permissions.request({ origins: [`${new URL(config.url).origin}/*`] }).catch(() => false);
+    }
+
+    const result = await testWebhookConnection(config);
+
+    if (result.success) {
+      showMessage('Webhook test successful! ' + result.message, 'success');
+    } else {
+      showMessage('Webhook test failed: ' + result.error, 'error');
+    }
+  } catch (error) {
+    showMessage('Error testing webhook: ' + error.message, 'error');
+  } finally {
+    testWebhookBtn.disabled = false;
+    testWebhookBtn.textContent = 'Test';
+  }
+}
+
 /**
  * Clear Firebase config
  */
@@ -620,9 +1581,56 @@ function clearAWS() {
   awsSecretAccessKey.value = '';
   awsBucket.value = '';
   awsRegion.value = 'us-east-1';
+  clearAWSEndpointFields();
   showMessage('AWS configuration cleared', 'info');
 }
 
+/**
+ * Reset authentication mode and S3-compatible endpoint fields to Amazon S3 defaults
+ */
+function clearAWSEndpointFields() {
+  awsAuthMode.value = 'credentials';
+  awsSignerUrl.value = '';
+  awsSignerHeaders.value = '';
+  toggleAWSAuthMode();
+  awsProvider.value = 'aws';
+  awsEndpoint.value = '';
+  awsForcePathStyle.checked = false;
+  awsSessionToken.value = '';
+}
+
+/**
+ * Apply the selected S3-compatible provider preset
+ */
+function applyS3Preset() {
+  const preset = S3_PRESETS[awsProvider.value];
+  if (!preset) return; // Custom endpoint: keep what the user entered
+
+  awsEndpoint.value = preset.endpoint.replace('{region}', preset.region);
+  awsRegion.value = preset.region;
+  awsForcePathStyle.checked = preset.forcePathStyle;
+}
+
+/**
+ * Reset webhook form fields
+ */
+function clearWebhookFields() {
+  webhookUrl.value = '';
+  webhookMethod.value = 'POST';
+  webhookHeaders.value = '';
+  webhookHmacSecret.value = '';
+  webhookSignatureHeader.value = 'X-Cookie-Sync-Signature';
+  webhookTimeout.value = 10;
+}
+
+/**
+ * Clear Webhook config
+ */
+function clearWebhook() {
+  clearWebhookFields();
+  showMessage('Webhook configuration cleared', 'info');
+}
+
 // Event Listeners
 form.addEventListener('submit', (e) => {
   e.preventDefault();
@@ -633,25 +1641,55 @@ resetButton.addEventListener('click', resetToDefaults);
 addDomainButton.addEventListener('click', addDomain);
 
 // Service toggles
+encryptionEnabled.addEventListener('change', () => {
+  toggleServiceConfig(encryptionEnabled, encryptionConfig);
+});
+encryptionMode.addEventListener('change', toggleEncryptionMode);
+historyEnabled.addEventListener('change', () => {
+  toggleServiceConfig(historyEnabled, historyConfig);
+});
 firebaseEnabled.addEventListener('change', () => {
   toggleServiceConfig(firebaseEnabled, firebaseConfig);
+  refreshSnapshotSelectors();
 });
 supabaseEnabled.addEventListener('change', () => {
   toggleServiceConfig(supabaseEnabled, supabaseConfig);
+  refreshSnapshotSelectors();
 });
 awsEnabled.addEventListener('change', () => {
   toggleServiceConfig(awsEnabled, awsConfig);
+  refreshSnapshotSelectors();
+});
+webhookEnabled.addEventListener('change', () => {
+  toggleServiceConfig(webhookEnabled, webhookConfig);
+});
+awsProvider.addEventListener('change', applyS3Preset);
+awsAuthMode.addEventListener('change', toggleAWSAuthMode);
+
+// Snapshot browser
+loadSnapshotsBtn.addEventListener('click', loadSnapshots);
+domainsContainer.addEventListener('change', refreshSnapshotSelectors);
+
+// Request inspector
+inspectorFilter.addEventListener('input', renderInspector);
+inspectorUnmatchedOnly.addEventListener('change', renderInspector);
+inspectorClearBtn.addEventListener('click', () => {
+  inspectorRequests = [];
+  inspectorPort?.postMessage({ action: 'clear' });
+  renderInspector();
 });
 
 // Test buttons
 testFirebaseBtn.addEventListener('click', testFirebase);
 testSupabaseBtn.addEventListener('click', testSupabase);
 testAWSBtn.addEventListener('click', testAWS);
+testWebhookBtn.addEventListener('click', testWebhook);
 
 // Clear buttons
 clearFirebaseBtn.addEventListener('click', clearFirebase);
 clearSupabaseBtn.addEventListener('click', clearSupabase);
 clearAWSBtn.addEventListener('click', clearAWS);
+clearWebhookBtn.addEventListener('click', clearWebhook);
 
 // Domain validation on input
 domainsContainer.addEventListener('input', (e) => {
@@ -664,3 +1702,4 @@ domainsContainer.addEventListener('input', (e) => {
 
 // Initialize
 loadConfig();
+connectInspector();
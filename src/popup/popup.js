@@ -2,23 +2,39 @@
  * Popup UI Logic
  */
 
-import { getConfig } from '../utils/config.js';
+import { getConfig, BUCKET_SERVICES } from '../utils/config.js';
 
 let isSyncing = false;
+let isPulling = false;
+
+const SERVICE_LABELS = {
+  firebase: 'Firebase',
+  supabase: 'Supabase',
+  aws: 'AWS S3',
+  webhook: 'Webhook'
+};
 
 // DOM Elements
 const autoSyncToggle = document.getElementById('autoSyncToggle');
 const syncButton = document.getElementById('syncButton');
 const syncButtonText = document.getElementById('syncButtonText');
 const syncSpinner = document.getElementById('syncSpinner');
+const forceSyncCheckbox = document.getElementById('forceSyncCheckbox');
 const optionsButton = document.getElementById('optionsButton');
 const lastSyncTime = document.getElementById('lastSyncTime');
+const nextSyncStatus = document.getElementById('nextSyncStatus');
+const nextSyncTime = document.getElementById('nextSyncTime');
+const retryQueueStatus = document.getElementById('retryQueueStatus');
+const retryQueueValue = document.getElementById('retryQueueValue');
 const targetDomains = document.getElementById('targetDomains');
 const enabledServices = document.getElementById('enabledServices');
 const messageArea = document.getElementById('messageArea');
 const monitoringModeValue = document.getElementById('monitoringModeValue');
 const apiPathsCount = document.getElementById('apiPathsCount');
 const apiPathsCountValue = document.getElementById('apiPathsCountValue');
+const pullService = document.getElementById('pullService');
+const pullButton = document.getElementById('pullButton');
+const pullButtonText = document.getElementById('pullButtonText');
 
 /**
  * Format timestamp to readable date
@@ -60,6 +76,9 @@ async function updateStatus() {
   try {
     // Get status from background
     const response = await chrome.runtime.sendMessage({ action: 'getStatus' });
+    if (response.error) {
+      throw new Error(response.error);
+    }
     const config = await getConfig();
 
     // Update auto-sync toggle
@@ -78,6 +97,25 @@ async function updateStatus() {
       lastSyncTime.style.color = '#666';
     }
 
+    // Update next scheduled sync
+    if (response.nextScheduledSync) {
+      const next = new Date(response.nextScheduledSync.scheduledTime);
+      nextSyncStatus.style.display = 'flex';
+      nextSyncTime.textContent = `${next.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} (${response.nextScheduledSync.domain})`;
+    } else {
+      nextSyncStatus.style.display = 'none';
+    }
+
+    // Update retry queue depth
+    const queueDepth = response.retryQueueDepth || 0;
+    if (queueDepth > 0) {
+      retryQueueStatus.style.display = 'flex';
+      retryQueueValue.textContent = `${queueDepth} pending upload${queueDepth !== 1 ? 's' : ''}`;
+      retryQueueValue.style.color = '#e67e22';
+    } else {
+      retryQueueStatus.style.display = 'none';
+    }
+
     // Update target domains and monitoring mode
     const targetDomainsConfig = config.targetDomains || [{ domain: 'binance.com', apiPaths: [] }];
     const domains = targetDomainsConfig.map(d => typeof d === 'string' ? d : d.domain);
@@ -108,10 +146,19 @@ async function updateStatus() {
     }
 
     // Update enabled services
-    const services = [];
-    if (config.services.firebase?.enabled) services.push('Firebase');
-    if (config.services.supabase?.enabled) services.push('Supabase');
-    if (config.services.aws?.enabled) services.push('AWS S3');
+    const enabledKeys = Object.keys(SERVICE_LABELS).filter(key => config.services[key]?.enabled);
+    const services = enabledKeys.map(key => SERVICE_LABELS[key]);
+
+    // Update pull source options (keep current selection if still enabled)
+    const pullKeys = enabledKeys.filter(key => BUCKET_SERVICES.includes(key));
+    const selectedService = pullService.value;
+    pullService.innerHTML = pullKeys.map(key =>
+      `<option value="${key}">${SERVICE_LABELS[key]}</option>`
+    ).join('');
+    if (pullKeys.includes(selectedService)) {
+      pullService.value = selectedService;
+    }
+    pullButton.disabled = pullKeys.length === 0;
 
     if (services.length > 0) {
       enabledServices.innerHTML = services.map(s => 
@@ -139,13 +186,16 @@ async function performSync() {
   messageArea.classList.remove('show');
 
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'sync' });
+    const response = await chrome.runtime.sendMessage({ action: 'sync', force: forceSyncCheckbox.checked });
+    const unchangedCount = (response.results || []).filter(r => r.skipped === 'unchanged').length;
 
     if (response.success) {
+      const unchanged = unchangedCount > 0 ? ` (skipped: unchanged for ${unchangedCount} upload${unchangedCount !== 1 ? 's' : ''})` : '';
       showMessage(
-        `Successfully synced ${response.cookieCount || 0} cookies`,
+        `Successfully synced ${response.cookieCount || 0} cookies${unchanged}`,
         'success'
       );
+      forceSyncCheckbox.checked = false;
     } else if (response.partialSuccess) {
       const successCount = response.results.filter(r => r.success).length;
       const totalCount = response.results.length;
@@ -173,6 +223,47 @@ async function performSync() {
   }
 }
 
+/**
+ * Pull cookies from the selected service back into the browser
+ */
+async function performPull() {
+  if (isPulling || !pullService.value) return;
+
+  if (!confirm('Restore cookies from ' + SERVICE_LABELS[pullService.value] + '? Existing cookies with the same name will be overwritten.')) {
+    return;
+  }
+
+  isPulling = true;
+  pullButton.disabled = true;
+  pullButtonText.textContent = 'Pulling...';
+  messageArea.classList.remove('show');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'pull', service: pullService.value });
+
+    const skippedCookies = (response.results || []).flatMap(r => r.skipped);
+
+    if (response.success || response.partialSuccess) {
+      const skippedSummary = skippedCookies.slice(0, 3).map(c => `${c.name}: ${c.reason}`).join('; ');
+      const skipped = response.skippedCount ? `, skipped ${response.skippedCount} (${skippedSummary}${response.skippedCount > 3 ? '; ...' : ''})` : '';
+      showMessage(
+        `Restored ${response.restoredCount} cookies${skipped}`,
+        response.success ? 'success' : 'info'
+      );
+    } else {
+      const firstError = response.results?.find(r => r.error)?.error;
+      showMessage(response.error || firstError || 'Pull failed', 'error');
+    }
+  } catch (error) {
+    console.error('Pull error:', error);
+    showMessage('Pull failed: ' + error.message, 'error');
+  } finally {
+    isPulling = false;
+    pullButton.disabled = false;
+    pullButtonText.textContent = 'Pull';
+  }
+}
+
 /**
  * Toggle auto-sync
  */
@@ -195,6 +286,7 @@ async function toggleAutoSync(enabled) {
 
 // Event Listeners
 syncButton.addEventListener('click', performSync);
+pullButton.addEventListener('click', performPull);
 
 autoSyncToggle.addEventListener('change', (e) => {
   toggleAutoSync(e.target.checked);
@@ -4,19 +4,36 @@
  * Captures request headers and cookies, detects changes, and triggers sync
  */
 
-import { getConfig } from './config.js';
-import { matchesApiPath } from './config.js';
-
-// Storage key for API request state
-const STATE_STORAGE_KEY = 'apiRequestState';
-
-// Debounce timer for sync triggers
-let syncDebounceTimer = null;
-const SYNC_DEBOUNCE_MS = 2000; // 2 seconds
+import { getConfig, getCachedConfig, DEFAULT_CHANGE_DETECTION } from './config.js';
+import { compileApiRule, findMatchingApiRule } from './api-rules.js';
+import { recordRequest } from './request-log.js';
+import {
+    getDomainState,
+    updateDomainState,
+    clearDomainState,
+    clearAllDomainStates,
+    flushDomainStates
+} from './api-state.js';
+import { scheduleDebouncedSync, cancelDebouncedSync } from './scheduler.js';
+import {
+    applyHeaderFilter,
+    pickKeptHeaders,
+    applyCookieValueFilter,
+    pickKeptCookies,
+    matchesAnyPattern,
+    getCompiledFilters
+} from './filters.js';
 
 // Sync trigger callback (set by service worker)
 let syncTriggerCallback = null;
 
+// Incremented by every setupRequestMonitoring call, so only the latest one narrows the listeners
+let setupGeneration = 0;
+
+// Compiled API rules per domain config object; the cached config is replaced on every
+// config change, so rules are compiled once per config version
+const compiledRulesByDomain = new WeakMap();
+
 /**
  * Set the sync trigger callback
  * @param {Function} callback - Function to call when sync should be triggered
@@ -145,10 +162,12 @@ async function getCookiesForUrl(url) {
 
 /**
  * Extract cookies and headers from request
+ * Headers and cookies are filtered and redacted by the domain header and cookie filters
  * @param {Object} details - webRequest details
+ * @param {Object} domainConfig - Domain configuration with headerFilter and cookieFilter
  * @returns {Promise<Object>} Object with cookies and headers
  */
-async function extractRequestData(details) {
+async function extractRequestData(details, domainConfig = null) {
     const headers = extractHeaders(details.requestHeaders);
 
     // Try to get cookies from Cookie header first
@@ -163,10 +182,79 @@ async function extractRequestData(details) {
 
     // Remove cookie header from headers object (we store it separately)
     const { cookie, ...otherHeaders } = headers;
+    const { cookieFilter, headerFilter } = getCompiledFilters(domainConfig);
 
     return {
-        cookies,
-        headers: otherHeaders
+        cookies: await applyCookieValueFilter(cookies, cookieFilter),
+        headers: await applyHeaderFilter(otherHeaders, headerFilter)
+    };
+}
+
+/**
+ * Parse Set-Cookie response headers
+ * @param {Array} responseHeaders - Array of header objects
+ * @returns {Object} Object with cookie names as keys and { value, attributes } as values
+ */
+function parseSetCookieHeaders(responseHeaders) {
+    const setCookies = {};
+    if (!responseHeaders || !Array.isArray(responseHeaders)) return setCookies;
+
+    responseHeaders
+        .filter(header => header.name && header.name.toLowerCase() === 'set-cookie' && header.value)
+        // Some servers fold several cookies into one header separated by newlines
+        .flatMap(header => header.value.split('\n'))
+        .forEach(line => {
+            const [pair, ...attributes] = line.split(';');
+            const separator = pair.indexOf('=');
+            if (separator <= 0) return;
+
+            const name = pair.slice(0, separator).trim();
+            setCookies[name] = {
+                value: pair.slice(separator + 1).trim(),
+                attributes: attributes.map(attr => attr.trim()).filter(Boolean).join('; ')
+            };
+        });
+
+    return setCookies;
+}
+
+/**
+ * Apply a domain cookie filter to captured Set-Cookie entries
+ * Excluded cookies are dropped and redacted values are hashed, as for request cookies
+ * @param {Object} setCookies - { [name]: { value, attributes } }
+ * @param {Object} cookieFilter - Compiled cookie filter (see getCompiledFilters)
+ * @returns {Promise<Object>} Filtered Set-Cookie entries
+ */
+async function applySetCookieFilter(setCookies, cookieFilter) {
+    const values = Object.fromEntries(Object.entries(setCookies).map(([name, cookie]) => [name, cookie.value]));
+    const kept = await applyCookieValueFilter(values, cookieFilter);
+
+    return Object.fromEntries(
+        Object.entries(kept).map(([name, value]) => [name, { ...setCookies[name], value }])
+    );
+}
+
+/**
+ * Extract Set-Cookie and selected headers from a response
+ * @param {Array} responseHeaders - Array of header objects
+ * @param {string[]} selectedHeaders - Response header names to keep (case-insensitive)
+ * @returns {Object} { headers, setCookies }
+ */
+function extractResponseData(responseHeaders, selectedHeaders = []) {
+    const allHeaders = extractHeaders(responseHeaders);
+
+    // Set-Cookie is captured separately (one entry per cookie)
+    const headers = {};
+    selectedHeaders
+        .map(name => name.trim().toLowerCase())
+        .filter(name => name && name !== 'set-cookie' && name in allHeaders)
+        .forEach(name => {
+            headers[name] = allHeaders[name];
+        });
+
+    return {
+        headers,
+        setCookies: parseSetCookieHeaders(responseHeaders)
     };
 }
 
@@ -177,9 +265,7 @@ async function extractRequestData(details) {
  */
 async function getStoredDataForDomain(domain) {
     try {
-        const result = await chrome.storage.local.get([STATE_STORAGE_KEY]);
-        const state = result[STATE_STORAGE_KEY] || {};
-        return state[domain] || null;
+        return await getDomainState(domain);
     } catch (error) {
         console.error('Error getting stored data:', error);
         return null;
@@ -187,23 +273,96 @@ async function getStoredDataForDomain(domain) {
 }
 
 /**
- * Update stored data for a domain
+ * Merge captured request data into the stored data for a domain and detect changes
+ * Reading, merging and writing happen under the domain's lock, so concurrent requests
+ * cannot overwrite each other's cookies and headers
+ * Captured response data is kept as-is; per-path data is dropped in merged capture and
+ * merged data is dropped in per-path capture
+ * @param {string} domain - Configured domain
+ * @param {string|null} ruleKey - Key of the matched API rule (per-path capture), or null (merged capture)
+ * @param {Object} requestData - Captured request data { cookies, headers }
+ * @param {Object} domainConfig - Domain configuration
+ * @returns {Promise<Object>} Change detection result (see compareAndDetectChanges)
+ */
+async function updateStoredRequestData(domain, ruleKey, requestData, domainConfig) {
+    return await updateDomainState(domain, state => {
+        // Stored data of the matched API rule, or of the whole domain
+        const rawStoredData = ruleKey
+            ? state.paths?.[ruleKey] || null
+            : (Object.keys(state).length > 0 ? state : null);
+
+        // Only headers and cookies kept by the current filters take part in merging and change detection
+        const filters = getCompiledFilters(domainConfig);
+        const storedData = rawStoredData && {
+            cookies: pickKeptCookies(rawStoredData.cookies, filters.cookieFilter),
+            headers: pickKeptHeaders(rawStoredData.headers, filters.headerFilter)
+        };
+
+        // Merge with existing data (combine from all API paths, or all requests of this path)
+        const mergedData = mergeRequestData(storedData, requestData);
+
+        // Check for changes with percentage calculation
+        const changeDetection = domainConfig.changeDetection || DEFAULT_CHANGE_DETECTION;
+        const changeResult = compareAndDetectChanges(mergedData, storedData, changeDetection, filters.significantHeaders);
+
+        // Always update stored data to keep it fresh
+        if (ruleKey) {
+            delete state.cookies;
+            delete state.headers;
+            state.paths = {
+                ...state.paths,
+                [ruleKey]: {
+                    cookies: mergedData.cookies,
+                    headers: mergedData.headers,
+                    lastSeen: Date.now()
+                }
+            };
+        } else {
+            delete state.paths;
+            state.cookies = mergedData.cookies;
+            state.headers = mergedData.headers;
+        }
+        state.timestamp = Date.now();
+
+        return changeResult;
+    });
+}
+
+/**
+ * Merge captured response data into the stored data for a domain
+ * Stored Set-Cookie entries excluded by the current cookie filter are dropped
  * @param {string} domain - Domain name
- * @param {Object} data - Data to store { cookies, headers, timestamp }
- * @returns {Promise<void>}
+ * @param {Object} responseData - { headers, setCookies } (already filtered)
+ * @param {Object} cookieFilter - Compiled domain cookie filter (see getCompiledFilters)
+ * @returns {Promise<boolean>} True if a header or cookie value changed
  */
-async function updateStoredData(domain, data) {
+async function updateStoredResponseData(domain, responseData, cookieFilter) {
     try {
-        const result = await chrome.storage.local.get([STATE_STORAGE_KEY]);
-        const state = result[STATE_STORAGE_KEY] || {};
-        state[domain] = {
-            cookies: data.cookies,
-            headers: data.headers,
-            timestamp: Date.now()
-        };
-        await chrome.storage.local.set({ [STATE_STORAGE_KEY]: state });
+        return await updateDomainState(domain, state => {
+            const stored = state.response || { headers: {}, setCookies: {} };
+            const keptNames = Object.keys(pickKeptCookies(stored.setCookies, cookieFilter));
+            const previous = {
+                headers: stored.headers,
+                setCookies: Object.fromEntries(keptNames.map(name => [name, stored.setCookies[name]]))
+            };
+
+            const headersChanged = Object.entries(responseData.headers)
+                .some(([name, value]) => previous.headers[name] !== value);
+            // Compare values only: sliding Expires/Max-Age attributes change on every response
+            const cookiesChanged = Object.entries(responseData.setCookies)
+                .some(([name, cookie]) => previous.setCookies[name]?.value !== cookie.value);
+
+            state.response = {
+                headers: { ...previous.headers, ...responseData.headers },
+                setCookies: { ...previous.setCookies, ...responseData.setCookies },
+                timestamp: Date.now()
+            };
+
+            return headersChanged || cookiesChanged;
+        });
     } catch (error) {
-        console.error('Error updating stored data:', error);
+        console.error('Error updating stored response data:', error);
+        return false;
     }
 }
 
@@ -290,14 +449,33 @@ function calculateHeaderChangePercentage(newHeaders, oldHeaders) {
     };
 }
 
+/**
+ * Get the names of changed significant headers (added, removed or modified)
+ * @param {Object} newHeaders - New headers object
+ * @param {Object} oldHeaders - Old headers object
+ * @param {RegExp[]} significantHeaders - Compiled header name patterns
+ * @returns {string[]} Changed significant header names
+ */
+function getChangedSignificantHeaders(newHeaders, oldHeaders, significantHeaders) {
+    if (significantHeaders.length === 0) return [];
+
+    const allKeys = new Set([...Object.keys(newHeaders || {}), ...Object.keys(oldHeaders || {})]);
+    return Array.from(allKeys).filter(key =>
+        (newHeaders || {})[key] !== (oldHeaders || {})[key] &&
+        matchesAnyPattern(key, significantHeaders)
+    );
+}
+
 /**
  * Compare and detect changes with percentage calculation
  * @param {Object} newData - New data { cookies, headers }
  * @param {Object} storedData - Stored data { cookies, headers }
+ * @param {Object} changeDetection - Domain settings { headerChangeThreshold }
+ * @param {RegExp[]} significantHeaders - Compiled significant header patterns (see getCompiledFilters)
  * @returns {Object} { shouldSync: boolean, cookiesChanged: boolean, headersChanged: boolean, headerChangePercentage: number, details: string }
  */
-function compareAndDetectChanges(newData, storedData) {
-    const MIN_HEADER_CHANGE_PERCENTAGE = 20; // 20% threshold
+function compareAndDetectChanges(newData, storedData, changeDetection = DEFAULT_CHANGE_DETECTION, significantHeaders = []) {
+    const minHeaderChangePercentage = Number(changeDetection.headerChangeThreshold);
 
     if (!storedData) {
         // No stored data means this is the first request - treat as change
@@ -327,6 +505,20 @@ function compareAndDetectChanges(newData, storedData) {
         };
     }
 
+    // A change to a significant header always syncs
+    const changedSignificantHeaders = headersChanged
+        ? getChangedSignificantHeaders(newData.headers, storedData.headers, significantHeaders)
+        : [];
+    if (changedSignificantHeaders.length > 0) {
+        return {
+            shouldSync: true,
+            cookiesChanged: false,
+            headersChanged: true,
+            headerChangePercentage: calculateHeaderChangePercentage(newData.headers, storedData.headers).percentage,
+            details: `Significant headers changed: ${changedSignificantHeaders.join(', ')} - sync required`
+        };
+    }
+
     // If only headers changed, calculate percentage
     if (headersChanged) {
         const headerStats = calculateHeaderChangePercentage(
@@ -334,7 +526,7 @@ function compareAndDetectChanges(newData, storedData) {
             storedData.headers
         );
 
-        const shouldSync = headerStats.percentage >= MIN_HEADER_CHANGE_PERCENTAGE;
+        const shouldSync = headerStats.percentage >= minHeaderChangePercentage;
 
         return {
             shouldSync,
@@ -345,7 +537,7 @@ function compareAndDetectChanges(newData, storedData) {
             totalCommonHeaders: headerStats.totalCommonKeys,
             details: shouldSync
                 ? `Headers changed: ${headerStats.changedCount}/${headerStats.totalCommonKeys} (${headerStats.percentage}%) - sync triggered`
-                : `Headers changed: ${headerStats.changedCount}/${headerStats.totalCommonKeys} (${headerStats.percentage}%) - below ${MIN_HEADER_CHANGE_PERCENTAGE}% threshold, skipping sync`
+                : `Headers changed: ${headerStats.changedCount}/${headerStats.totalCommonKeys} (${headerStats.percentage}%) - below ${minHeaderChangePercentage}% threshold, skipping sync`
         };
     }
 
@@ -392,78 +584,181 @@ function mergeRequestData(currentData, newData) {
 }
 
 /**
- * Trigger sync with debouncing
+ * Trigger sync with debouncing (backed by an alarm in case the service worker is evicted)
+ * @param {number} delayMs - Debounce delay of the domain that changed
  */
-function triggerSync() {
-    if (syncDebounceTimer) {
-        clearTimeout(syncDebounceTimer);
-    }
-
-    syncDebounceTimer = setTimeout(() => {
+function triggerSync(delayMs = DEFAULT_CHANGE_DETECTION.apiSyncDebounceMs) {
+    scheduleDebouncedSync(delayMs, () => {
         if (syncTriggerCallback) {
             console.log('API monitor: Triggering sync due to header/cookie change');
             syncTriggerCallback();
         }
-    }, SYNC_DEBOUNCE_MS);
+    });
 }
 
 /**
- * Handle request before headers are sent
- * @param {Object} details - webRequest details
+ * Trigger sync right away, replacing any pending debounced sync
  */
-async function onBeforeSendHeaders(details) {
-    try {
-        const config = await getConfig();
-        const domain = extractDomain(details.url);
-        const path = extractPath(details.url);
+function triggerImmediateSync() {
+    cancelDebouncedSync();
 
-        if (!domain) return;
+    if (syncTriggerCallback) {
+        console.log('API monitor: Triggering immediate sync due to response change');
+        syncTriggerCallback();
+    }
+}
 
-        // Find domain config
-        const domainConfig = config.targetDomains.find(d => {
-            const configDomain = typeof d === 'string' ? d : d.domain;
-            return matchesDomain(domain, configDomain);
-        });
+/**
+ * Get the compiled API rules of a domain
+ * @param {Object} domainConfig - Domain configuration (from the cached config)
+ * @returns {Array<Object>} Compiled rules
+ */
+function getCompiledRules(domainConfig) {
+    let rules = compiledRulesByDomain.get(domainConfig);
+    if (!rules) {
+        rules = (domainConfig.apiPaths || []).map(compileApiRule);
+        compiledRulesByDomain.set(domainConfig, rules);
+    }
+    return rules;
+}
+
+/**
+ * Build webRequest URL patterns covering the configured domains
+ * Parent hosts are included because a configured subdomain also matches its parent (see matchesDomain)
+ * @param {Array<Object>} domainConfigs - Domain configurations
+ * @returns {string[]} Match patterns
+ */
+function buildUrlFilters(domainConfigs) {
+    const patterns = new Set();
+
+    domainConfigs.forEach(domainConfig => {
+        const labels = domainConfig.domain.replace(/^\./, '').split('.');
+        patterns.add(`*://*.${labels.join('.')}/*`);
+        for (let i = 0; i <= labels.length - 2; i++) {
+            patterns.add(`*://${labels.slice(i).join('.')}/*`);
+        }
+    });
+
+    return Array.from(patterns);
+}
+
+/**
+ * Find the configured domain and API rule a request belongs to
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Object} config - Extension configuration
+ * @param {boolean} logMisses - Log why a request did not match (debugging aid)
+ * @returns {Object|null} { domain, path, rule, ruleKey, domainConfig, configuredDomain } or null if not monitored
+ */
+function findMonitoredRequest(url, method, config, logMisses = false) {
+    const domain = extractDomain(url);
+    const path = extractPath(url);
 
-        if (!domainConfig) {
+    if (!domain) return null;
+
+    // Find domain config
+    const domainConfig = config.targetDomains.find(d => {
+        const configDomain = typeof d === 'string' ? d : d.domain;
+        return matchesDomain(domain, configDomain);
+    });
+
+    if (!domainConfig) {
+        if (logMisses) {
             // Debug: log why domain didn't match
             console.log('[API Monitor] Domain not matched:', {
                 requestDomain: domain,
                 configuredDomains: config.targetDomains.map(d => typeof d === 'string' ? d : d.domain),
-                url: details.url
+                url
             });
-            return;
         }
+        return null;
+    }
 
-        // Get API paths (handle both old and new format)
-        const apiPaths = typeof domainConfig === 'string' ? [] : (domainConfig.apiPaths || []);
+    // Get API paths (handle both old and new format)
+    const apiPaths = typeof domainConfig === 'string' ? [] : (domainConfig.apiPaths || []);
 
-        // If no API paths configured, skip (fall back to cookie-only mode)
-        if (!apiPaths || apiPaths.length === 0) return;
+    // If no API paths configured, skip (fall back to cookie-only mode)
+    if (!apiPaths || apiPaths.length === 0) return null;
 
-        // Check if path matches any configured API path
-        if (!matchesApiPath(path, apiPaths)) {
+    // Find the first API rule the request matches (path, method, query and exclusions)
+    const compiledRules = getCompiledRules(domainConfig);
+    const match = findMatchingApiRule(url, method, compiledRules);
+    if (!match) {
+        if (logMisses) {
             // Debug: log why path didn't match
             console.log('[API Monitor] Path not matched:', {
                 requestPath: path,
-                configuredPaths: apiPaths,
-                url: details.url
+                method,
+                configuredRules: compiledRules.map(compiled => compiled.key),
+                url
             });
-            return;
         }
+        return null;
+    }
+
+    // Get the configured domain (for storage key)
+    const configuredDomain = typeof domainConfig === 'string' ? domainConfig : domainConfig.domain;
+
+    return { domain, path, rule: match.rule, ruleKey: match.key, domainConfig, configuredDomain };
+}
 
-        // Get the configured domain (for storage key)
-        const configuredDomain = typeof domainConfig === 'string' ? domainConfig : domainConfig.domain;
+/**
+ * Record a request to a configured domain for the request inspector
+ * Only names are recorded (header and query parameter names), never values
+ * @param {Object} details - webRequest details
+ * @param {Object} config - Extension configuration
+ * @param {Object|null} match - Monitored request match, or null if no API rule matched
+ */
+function recordInspectedRequest(details, config, match) {
+    let url;
+    try {
+        url = new URL(details.url);
+    } catch (e) {
+        return;
+    }
+
+    const domainConfig = match?.domainConfig || config.targetDomains.find(d =>
+        matchesDomain(url.hostname, typeof d === 'string' ? d : d.domain)
+    );
+    if (!domainConfig) return;
+
+    recordRequest({
+        method: details.method,
+        host: url.hostname,
+        path: url.pathname,
+        queryNames: Array.from(new Set(url.searchParams.keys())),
+        headerNames: (details.requestHeaders || []).map(header => header.name.toLowerCase()),
+        type: details.type,
+        domain: typeof domainConfig === 'string' ? domainConfig : domainConfig.domain,
+        matchedRule: match ? match.ruleKey : null
+    });
+}
+
+/**
+ * Handle request before headers are sent
+ * @param {Object} details - webRequest details
+ */
+async function onBeforeSendHeaders(details) {
+    try {
+        const config = await getCachedConfig();
+        const match = findMonitoredRequest(details.url, details.method, config, true);
+        recordInspectedRequest(details, config, match);
+        if (!match) return;
+
+        const { domain, path, ruleKey, domainConfig, configuredDomain } = match;
+        const perPath = domainConfig.captureScope === 'path';
+        const changeDetection = domainConfig.changeDetection || DEFAULT_CHANGE_DETECTION;
 
         console.log('[API Monitor] ✓ Request matched:', {
             requestDomain: domain,
             configuredDomain,
             path,
+            rule: ruleKey,
             url: details.url
         });
 
         // Extract request data (async - needs to fetch cookies)
-        const requestData = await extractRequestData(details);
+        const requestData = await extractRequestData(details, domainConfig);
 
         // Debug logging
         console.log('[API Monitor] Request captured:', {
@@ -478,20 +773,18 @@ async function onBeforeSendHeaders(details) {
             sampleCookies: Object.keys(requestData.cookies).slice(0, 5)
         });
 
-        // Get stored data using configured domain (not request domain)
-        const storedData = await getStoredDataForDomain(configuredDomain);
-
-        // Merge with existing data (combine from all API paths)
-        const mergedData = mergeRequestData(storedData, requestData);
-
-        // Check for changes with percentage calculation
-        const changeResult = compareAndDetectChanges(mergedData, storedData);
-
-        // Always update stored data to keep it fresh
-        await updateStoredData(configuredDomain, mergedData);
+        // Merge into the data stored for the configured domain (not request domain), scoped to the
+        // matched API rule when the domain captures per path
+        const changeResult = await updateStoredRequestData(
+            configuredDomain,
+            perPath ? ruleKey : null,
+            requestData,
+            domainConfig
+        );
 
         if (changeResult.shouldSync) {
             console.log('[API Monitor] Changes detected for', configuredDomain, {
+                rule: perPath ? ruleKey : undefined,
                 cookiesChanged: changeResult.cookiesChanged,
                 headersChanged: changeResult.headersChanged,
                 headerChangePercentage: changeResult.headerChangePercentage,
@@ -500,8 +793,11 @@ async function onBeforeSendHeaders(details) {
                 details: changeResult.details
             });
 
+            // Write the change now: the worker may be evicted before the debounced sync runs
+            await flushDomainStates();
+
             // Trigger sync
-            triggerSync();
+            triggerSync(changeDetection.apiSyncDebounceMs);
         } else {
             // Log why sync was skipped
             if (changeResult.headersChanged) {
@@ -519,22 +815,121 @@ async function onBeforeSendHeaders(details) {
 }
 
 /**
- * Setup request monitoring
+ * Handle response headers for monitored API paths (response capture)
+ * Records Set-Cookie and selected response headers; changes sync immediately
+ * @param {Object} details - webRequest details
  */
-export function setupRequestMonitoring() {
+async function onHeadersReceived(details) {
+    try {
+        const config = await getCachedConfig();
+        const match = findMonitoredRequest(details.url, details.method, config);
+        if (!match || !match.domainConfig.responseCapture?.enabled) return;
+
+        const responseData = extractResponseData(
+            details.responseHeaders,
+            match.domainConfig.responseCapture.headers || []
+        );
+
+        const filters = getCompiledFilters(match.domainConfig);
+
+        // Explicitly selected response headers are kept, but still redacted
+        responseData.headers = await applyHeaderFilter(responseData.headers, {
+            redact: filters.headerFilter?.redact || []
+        });
+
+        // Set-Cookie goes through the domain cookie filter (exclusions and redaction)
+        responseData.setCookies = await applySetCookieFilter(responseData.setCookies, filters.cookieFilter);
+
+        if (Object.keys(responseData.headers).length === 0 && Object.keys(responseData.setCookies).length === 0) {
+            return;
+        }
+
+        const changed = await updateStoredResponseData(
+            match.configuredDomain,
+            responseData,
+            filters.cookieFilter
+        );
+
+        if (changed) {
+            console.log('[API Monitor] Response changes detected for', match.configuredDomain, {
+                path: match.path,
+                headers: Object.keys(responseData.headers),
+                setCookies: Object.keys(responseData.setCookies)
+            });
+            await flushDomainStates();
+            triggerImmediateSync();
+        }
+    } catch (error) {
+        console.error('Error in onHeadersReceived:', error);
+    }
+}
+
+/**
+ * Replace the webRequest listeners
+ * @param {string[]} requestUrls - URL filters for the request listener (none: not registered)
+ * @param {string[]} responseUrls - URL filters for the response listener (none: not registered)
+ */
+function registerListeners(requestUrls, responseUrls) {
     // Remove existing listeners if any
     if (chrome.webRequest.onBeforeSendHeaders.hasListeners()) {
         chrome.webRequest.onBeforeSendHeaders.removeListener(onBeforeSendHeaders);
     }
+    if (chrome.webRequest.onHeadersReceived.hasListeners()) {
+        chrome.webRequest.onHeadersReceived.removeListener(onHeadersReceived);
+    }
 
     // Add listener for request headers
-    chrome.webRequest.onBeforeSendHeaders.addListener(
-        onBeforeSendHeaders,
-        { urls: ['<all_urls>'] },
-        ['requestHeaders']
-    );
+    if (requestUrls.length > 0) {
+        chrome.webRequest.onBeforeSendHeaders.addListener(
+            onBeforeSendHeaders,
+            { urls: requestUrls },
+            ['requestHeaders']
+        );
+    }
 
-    console.log('API request monitoring initialized');
+    // Add listener for response headers ('extraHeaders' is required to see Set-Cookie)
+    if (responseUrls.length > 0) {
+        chrome.webRequest.onHeadersReceived.addListener(
+            onHeadersReceived,
+            { urls: responseUrls },
+            ['responseHeaders', 'extraHeaders']
+        );
+    }
+}
+
+/**
+ * Setup request monitoring
+ * Listeners are registered in the calling turn, because the event that wakes the service
+ * worker only reaches listeners added synchronously at startup. Once the configuration is
+ * loaded they are re-registered for the configured domains only, and the response listener
+ * only for domains with response capture. Until then the listeners filter requests themselves.
+ * @returns {Promise<void>} Resolves once the listeners are narrowed to the configured domains
+ */
+export function setupRequestMonitoring() {
+    const generation = ++setupGeneration;
+
+    if (!chrome.webRequest.onBeforeSendHeaders.hasListeners()) {
+        registerListeners(['<all_urls>'], ['<all_urls>']);
+    }
+
+    return getCachedConfig().then(config => {
+        // A later setup (config changed meanwhile) registers its own filters
+        if (generation !== setupGeneration) return;
+
+        const domainConfigs = (config.targetDomains || []).filter(d => d.domain);
+        const captureDomains = domainConfigs.filter(d => d.responseCapture?.enabled && d.apiPaths?.length > 0);
+
+        registerListeners(
+            domainConfigs.length > 0 ? buildUrlFilters(domainConfigs) : [],
+            captureDomains.length > 0 ? buildUrlFilters(captureDomains) : []
+        );
+
+        console.log(domainConfigs.length > 0
+            ? 'API request monitoring initialized'
+            : 'API request monitoring idle: no domains configured');
+    }).catch(error => {
+        console.error('Error setting up request monitoring:', error);
+    });
 }
 
 /**
@@ -548,19 +943,23 @@ export async function getStoredApiData(domain) {
 
 /**
  * Get stored API request data for all configured domains
+ * Pending changes are written to storage as well, since the result is about to be synced
  * @returns {Promise<Array>} Array of { domain, data } objects
  */
 export async function getAllStoredApiData() {
     try {
         const config = await getConfig();
-        const result = await chrome.storage.local.get([STATE_STORAGE_KEY]);
-        const state = result[STATE_STORAGE_KEY] || {};
         const domains = config.targetDomains.map(d => typeof d === 'string' ? d : d.domain);
 
-        return domains.map(domain => ({
+        const apiData = await Promise.all(domains.map(async domain => ({
             domain,
-            data: state[domain] || null
-        }));
+            data: await getDomainState(domain)
+        })));
+
+        // Persist what is about to be synced, so storage never lags behind an upload
+        await flushDomainStates();
+
+        return apiData;
     } catch (error) {
         console.error('Error getting all stored API data:', error);
         return [];
@@ -575,12 +974,9 @@ export async function getAllStoredApiData() {
 export async function clearStoredApiData(domain = null) {
     try {
         if (domain) {
-            const result = await chrome.storage.local.get([STATE_STORAGE_KEY]);
-            const state = result[STATE_STORAGE_KEY] || {};
-            delete state[domain];
-            await chrome.storage.local.set({ [STATE_STORAGE_KEY]: state });
+            await clearDomainState(domain);
         } else {
-            await chrome.storage.local.remove([STATE_STORAGE_KEY]);
+            await clearAllDomainStates();
         }
     } catch (error) {
         console.error('Error clearing stored API data:', error);
@@ -0,0 +1,235 @@
+/**
+ * API Rules
+ * Which requests of a domain are monitored: a path wildcard or regular expression,
+ * optionally limited to HTTP methods and required query parameters, with exclusions
+ */
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * Normalize an API rule
+ * Plain strings are rules from older versions, where * matched across segments, so it becomes **
+ * @param {Object|string} item - Rule object or path string
+ * @returns {Object} Rule { type: 'path'|'regex', pattern, methods, query, exclude }
+ */
+export function normalizeApiRule(item) {
+  if (typeof item === 'string') {
+    return {
+      type: 'path',
+      pattern: item.trim().replace(/\*+/g, '**'),
+      methods: [],
+      query: [],
+      exclude: []
+    };
+  }
+
+  const rule = item || {};
+  return {
+    type: rule.type === 'regex' ? 'regex' : 'path',
+    pattern: (rule.pattern || '').trim(),
+    methods: Array.isArray(rule.methods) ? rule.methods.map(method => method.toUpperCase()) : [], // Empty means any method
+    query: Array.isArray(rule.query) ? rule.query : [], // "name" must be present, "name=value" must match
+    exclude: Array.isArray(rule.exclude) ? rule.exclude : [] // Path wildcards that are never matched
+  };
+}
+
+/**
+ * Get the key identifying a rule (used to store per-path captures)
+ * @param {Object} rule - Normalized rule
+ * @returns {string} e.g. "/api/v3/**", "POST /api/v3/order" or "/^\/api\/v\d+\//"
+ */
+export function getApiRuleKey(rule) {
+  const pattern = rule.type === 'regex' ? `/${rule.pattern}/` : rule.pattern;
+  return rule.methods.length > 0 ? `${rule.methods.join(',')} ${pattern}` : pattern;
+}
+
+/**
+ * Check that a path wildcard is well formed
+ * @param {string} path - Path wildcard
+ * @returns {boolean} True if valid
+ */
+export function isValidPathPattern(path) {
+  if (!path || typeof path !== 'string') return false;
+
+  // Must start with / and cannot contain whitespace, a query string or a fragment
+  return /^\/[^\s?#]*$/.test(path.trim());
+}
+
+/**
+ * Convert a path wildcard to a regular expression
+ * * matches within one path segment, ** matches across segments
+ * @param {string} path - Path wildcard (e.g. /api/*\/orders or /api/**)
+ * @returns {RegExp} Anchored regular expression
+ */
+export function pathPatternToRegex(path) {
+  const escape = part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const source = path
+    .split('**')
+    .map(part => part.split('*').map(escape).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse a required query parameter entry
+ * @param {string} entry - "name" or "name=value"
+ * @returns {Object} { name, value } (value is null when any value is accepted)
+ */
+function parseQueryRequirement(entry) {
+  const separator = entry.indexOf('=');
+  return separator === -1
+    ? { name: entry.trim(), value: null }
+    : { name: entry.slice(0, separator).trim(), value: entry.slice(separator + 1).trim() };
+}
+
+/**
+ * Validate an API rule
+ * @param {Object} rule - Normalized rule
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateApiRule(rule) {
+  if (!rule.pattern) {
+    return 'Pattern cannot be empty';
+  }
+
+  if (rule.type === 'regex') {
+    try {
+      new RegExp(rule.pattern);
+    } catch (e) {
+      return e.message;
+    }
+  } else if (!isValidPathPattern(rule.pattern)) {
+    return `Invalid path ${rule.pattern}: must start with / and cannot contain spaces, ? or #`;
+  }
+
+  const unknownMethod = rule.methods.find(method => !HTTP_METHODS.includes(method));
+  if (unknownMethod) {
+    return `Unknown HTTP method: ${unknownMethod}`;
+  }
+
+  if (rule.query.some(entry => !parseQueryRequirement(entry).name)) {
+    return 'Query parameters need a name (name or name=value)';
+  }
+
+  const invalidExclude = rule.exclude.find(path => !isValidPathPattern(path));
+  if (invalidExclude) {
+    return `Invalid exclusion ${invalidExclude}: must be a path starting with /`;
+  }
+
+  return null;
+}
+
+/**
+ * Compile an API rule once so matching does not rebuild regular expressions per request
+ * @param {Object} rule - Normalized rule
+ * @returns {Object} { rule, key, pathRegex, excludeRegexes, query } (pathRegex is null if the pattern is invalid)
+ */
+export function compileApiRule(rule) {
+  let pathRegex = null;
+  try {
+    pathRegex = rule.type === 'regex' ? new RegExp(rule.pattern) : pathPatternToRegex(rule.pattern);
+  } catch (e) {
+    // Invalid patterns never match (the options page rejects them before saving)
+  }
+
+  return {
+    rule,
+    key: getApiRuleKey(rule),
+    pathRegex,
+    excludeRegexes: rule.exclude.map(path => ({ path, regex: pathPatternToRegex(path.trim()) })),
+    query: rule.query.map(parseQueryRequirement)
+  };
+}
+
+/**
+ * Test a request against a compiled API rule
+ * @param {Object} compiled - Compiled rule (see compileApiRule)
+ * @param {URL} url - Request URL
+ * @param {string} method - HTTP method
+ * @returns {string|null} Why the rule does not match, or null if it matches
+ */
+function testCompiledRule(compiled, url, method) {
+  const { rule, pathRegex } = compiled;
+
+  if (rule.methods.length > 0 && !rule.methods.includes((method || '').toUpperCase())) {
+    return `method ${method} is not ${rule.methods.join('/')}`;
+  }
+
+  if (!pathRegex) {
+    return 'invalid pattern';
+  }
+  if (!pathRegex.test(url.pathname)) {
+    return 'path does not match';
+  }
+
+  const excludedBy = compiled.excludeRegexes.find(({ regex }) => regex.test(url.pathname));
+  if (excludedBy) {
+    return `excluded by ${excludedBy.path}`;
+  }
+
+  for (const { name, value } of compiled.query) {
+    if (!url.searchParams.has(name)) {
+      return `query parameter ${name} is missing`;
+    }
+    if (value !== null && !url.searchParams.getAll(name).includes(value)) {
+      return `query parameter ${name} is not ${value}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Test a request against an API rule
+ * @param {Object} rule - Normalized rule
+ * @param {URL} url - Request URL
+ * @param {string} method - HTTP method
+ * @returns {string|null} Why the rule does not match, or null if it matches
+ */
+export function testApiRule(rule, url, method) {
+  return testCompiledRule(compileApiRule(rule), url, method);
+}
+
+/**
+ * Find the first compiled rule that matches a request
+ * @param {URL|string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Array<Object>} compiledRules - Rules compiled with compileApiRule
+ * @returns {Object|null} Matching compiled rule ({ rule, key, ... }) or null
+ */
+export function findMatchingApiRule(url, method, compiledRules) {
+  if (!compiledRules || compiledRules.length === 0) return null;
+
+  let parsed;
+  try {
+    parsed = url instanceof URL ? url : new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  return compiledRules.find(compiled => testCompiledRule(compiled, parsed, method) === null) || null;
+}
+
+/**
+ * Check whether a path segment looks like an identifier rather than a fixed name
+ * @param {string} segment - Path segment
+ * @returns {boolean} True for numbers, UUIDs, long hex strings and long tokens containing digits
+ */
+function isIdSegment(segment) {
+  return /^\d+$/.test(segment) ||
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) ||
+    /^[0-9a-f]{16,}$/i.test(segment) ||
+    /^(?=.*\d)[A-Za-z0-9_-]{20,}$/.test(segment);
+}
+
+/**
+ * Suggest a path wildcard for a request path, replacing identifier segments with *
+ * @param {string} path - Request path (e.g. /api/v3/orders/123456)
+ * @returns {string} Path wildcard (e.g. /api/v3/orders/*)
+ */
+export function suggestPathPattern(path) {
+  return path
+    .split('/')
+    .map(segment => (segment && isIdSegment(segment) ? '*' : segment))
+    .join('/');
+}
@@ -0,0 +1,198 @@
+/**
+ * API State Store
+ * Captured API request/response data per domain, kept in memory and written back
+ * to chrome.storage.local in batches, under one storage key per domain
+ */
+
+import { runExclusive } from './exclusive.js';
+
+// Storage key prefix for the state of one domain ("apiRequestState:<domain>")
+export const STATE_KEY_PREFIX = 'apiRequestState:';
+
+// Single storage key holding all domains, used by older versions
+const LEGACY_STATE_KEY = 'apiRequestState';
+
+// Delay between the first unsaved change and writing it to storage
+const FLUSH_DELAY_MS = 1000;
+
+// Lock key serializing flushes (cannot collide with a domain state key)
+const FLUSH_LOCK_KEY = 'apiRequestState#flush';
+
+// Loaded states per domain (null when the domain has no stored state)
+const states = new Map();
+
+// Domains changed since the last flush
+const dirtyDomains = new Set();
+
+let flushTimer = null;
+let migration = null;
+
+// Best effort only: onSuspend is not guaranteed to run, and the flush may not finish before
+// the worker is gone. Changes that trigger a sync and reads for a sync flush right away instead
+if (typeof chrome !== 'undefined' && chrome.runtime?.onSuspend) {
+  chrome.runtime.onSuspend.addListener(() => {
+    flushDomainStates();
+  });
+}
+
+/**
+ * Get the storage key of a domain's state
+ * @param {string} domain - Domain name
+ * @returns {string} Storage key
+ */
+function getStateKey(domain) {
+  return STATE_KEY_PREFIX + domain;
+}
+
+/**
+ * Split the single-key state of older versions into per-domain keys (runs once)
+ * @returns {Promise<void>}
+ */
+function migrateLegacyState() {
+  if (!migration) {
+    migration = (async () => {
+      const result = await chrome.storage.local.get([LEGACY_STATE_KEY]);
+      const legacy = result[LEGACY_STATE_KEY];
+      if (!legacy) return;
+
+      const items = Object.fromEntries(
+        Object.entries(legacy).map(([domain, state]) => [getStateKey(domain), state])
+      );
+      await chrome.storage.local.set(items);
+      await chrome.storage.local.remove(LEGACY_STATE_KEY);
+    })().catch(error => {
+      console.error('Error migrating API request state:', error);
+    });
+  }
+  return migration;
+}
+
+/**
+ * Load a domain's state into memory (callers hold the domain's lock)
+ * @param {string} domain - Domain name
+ * @returns {Promise<Object|null>} State or null
+ */
+async function loadDomainState(domain) {
+  if (!states.has(domain)) {
+    await migrateLegacyState();
+    const key = getStateKey(domain);
+    const result = await chrome.storage.local.get([key]);
+    states.set(domain, result[key] || null);
+  }
+  return states.get(domain);
+}
+
+/**
+ * Mark a domain as changed and schedule a flush
+ * @param {string} domain - Domain name
+ */
+function markDirty(domain) {
+  dirtyDomains.add(domain);
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushDomainStates();
+    }, FLUSH_DELAY_MS);
+  }
+}
+
+/**
+ * Get the state of a domain
+ * Waits for pending updates of the domain; the returned object must not be modified
+ * @param {string} domain - Domain name
+ * @returns {Promise<Object|null>} State or null
+ */
+export function getDomainState(domain) {
+  return runExclusive(getStateKey(domain), () => loadDomainState(domain));
+}
+
+/**
+ * Update the state of a domain
+ * fn receives a copy of the current state (an empty object if there is none) and mutates it;
+ * the result is kept in memory and written to storage with the next flush
+ * @param {string} domain - Domain name
+ * @param {Function} fn - Synchronous function receiving the state; its return value is passed through
+ * @returns {Promise<*>} Value returned by fn
+ */
+export function updateDomainState(domain, fn) {
+  return runExclusive(getStateKey(domain), async () => {
+    const state = { ...(await loadDomainState(domain)) };
+    const value = fn(state);
+    states.set(domain, state);
+    markDirty(domain);
+    return value;
+  });
+}
+
+/**
+ * Clear the state of a domain
+ * @param {string} domain - Domain name
+ * @returns {Promise<void>}
+ */
+export function clearDomainState(domain) {
+  return runExclusive(getStateKey(domain), async () => {
+    states.set(domain, null);
+    markDirty(domain);
+  });
+}
+
+/**
+ * Clear the state of all domains and write the result to storage
+ * @returns {Promise<void>}
+ */
+export async function clearAllDomainStates() {
+  await migrateLegacyState();
+  const stored = await chrome.storage.local.get(null);
+  const domains = new Set([
+    ...states.keys(),
+    ...Object.keys(stored)
+      .filter(key => key.startsWith(STATE_KEY_PREFIX))
+      .map(key => key.slice(STATE_KEY_PREFIX.length))
+  ]);
+
+  await Promise.all([...domains].map(clearDomainState));
+  await flushDomainStates();
+}
+
+/**
+ * Write all changed domain states to storage now
+ * Only the keys of changed domains are written; domains without state are removed
+ * @returns {Promise<void>}
+ */
+export function flushDomainStates() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  return runExclusive(FLUSH_LOCK_KEY, async () => {
+    if (dirtyDomains.size === 0) return;
+
+    const domains = [...dirtyDomains];
+    dirtyDomains.clear();
+
+    const items = {};
+    const removed = [];
+    domains.forEach(domain => {
+      const state = states.get(domain);
+      if (state) {
+        items[getStateKey(domain)] = state;
+      } else {
+        removed.push(getStateKey(domain));
+      }
+    });
+
+    try {
+      if (Object.keys(items).length > 0) {
+        await chrome.storage.local.set(items);
+      }
+      if (removed.length > 0) {
+        await chrome.storage.local.remove(removed);
+      }
+    } catch (error) {
+      console.error('Error writing API request state:', error);
+      // Written again with the next flush
+      domains.forEach(domain => dirtyDomains.add(domain));
+    }
+  });
+}
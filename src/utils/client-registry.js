@@ -0,0 +1,106 @@
+/**
+ * Client Registry
+ * Storage service clients created once per service configuration, and disposed
+ * once that configuration has changed and no caller is using them any more
+ */
+
+import { getConfig } from './config.js';
+import { hashValue } from './hash.js';
+
+// Current client per service: { hash, client, dispose, users, retired }
+const registry = new Map();
+
+// Retire clients whose service configuration changed (they are rebuilt on next use)
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.config) {
+      disposeChangedClients().catch(error => {
+        console.error('Error retiring storage clients:', error);
+      });
+    }
+  });
+}
+
+/**
+ * Hash a service configuration
+ * @param {Object} serviceConfig - Service configuration
+ * @returns {Promise<string>} "sha256:<hex>"
+ */
+function hashServiceConfig(serviceConfig) {
+  return hashValue(JSON.stringify(serviceConfig || {}));
+}
+
+/**
+ * Dispose a registry entry, ignoring errors from the client
+ * @param {string} service - Service name
+ * @param {Object} entry - Registry entry
+ */
+function disposeEntry(service, entry) {
+  try {
+    entry.dispose?.(entry.client);
+  } catch (error) {
+    console.error(`Error disposing ${service} client:`, error);
+  }
+}
+
+/**
+ * Retire a registry entry: dispose it now if it is unused, otherwise when its last user is done
+ * @param {string} service - Service name
+ * @param {Object} entry - Registry entry (already removed or replaced in the registry)
+ */
+function retireEntry(service, entry) {
+  entry.retired = true;
+  if (entry.users === 0) {
+    disposeEntry(service, entry);
+  }
+}
+
+/**
+ * Run a function with the client for a service configuration, creating the client on first use
+ * A client built for a different configuration of the same service is retired; clients are
+ * only disposed once every function using them has settled
+ * @param {string} service - Service name
+ * @param {Object} serviceConfig - Service configuration
+ * @param {Object} factory - { create(serviceConfig) → client, dispose(client) (optional) }
+ * @param {Function} fn - Async function receiving the client (must not keep it after settling)
+ * @returns {Promise<*>} Value returned by fn
+ */
+export async function withServiceClient(service, serviceConfig, { create, dispose }, fn) {
+  const hash = await hashServiceConfig(serviceConfig);
+
+  let entry = registry.get(service);
+  if (entry?.hash !== hash) {
+    const current = entry;
+    entry = { hash, client: create(serviceConfig), dispose, users: 0, retired: false };
+    registry.set(service, entry);
+    if (current) {
+      retireEntry(service, current);
+    }
+  }
+
+  entry.users++;
+  try {
+    return await fn(entry.client);
+  } finally {
+    entry.users--;
+    if (entry.retired && entry.users === 0) {
+      disposeEntry(service, entry);
+    }
+  }
+}
+
+/**
+ * Retire the clients whose service configuration no longer matches the stored configuration
+ * @returns {Promise<void>}
+ */
+async function disposeChangedClients() {
+  const config = await getConfig();
+
+  for (const [service, entry] of registry) {
+    const hash = await hashServiceConfig(config.services?.[service]);
+    if (registry.get(service) === entry && entry.hash !== hash) {
+      registry.delete(service);
+      retireEntry(service, entry);
+    }
+  }
+}
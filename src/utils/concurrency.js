@@ -0,0 +1,46 @@
+/**
+ * Concurrency Helpers
+ * Bounded-concurrency limiter and timeouts for running uploads in parallel
+ */
+
+/**
+ * Create a limiter that runs at most `limit` tasks at a time
+ * Tasks wait for a free slot in the order they were submitted. A task may be given a timeout:
+ * when it runs out, the task's AbortSignal is aborted and the caller's promise rejects at once,
+ * but the slot stays taken until the task itself settles, so work that ignores the signal still
+ * counts against the limit
+ * @param {number} limit - Maximum number of tasks running at once
+ * @returns {Function} run(task, options) - Runs an async task receiving an AbortSignal;
+ *   options { timeoutMs, timeoutMessage }; returns a promise settled with the task's outcome
+ *   or rejected with Error(timeoutMessage) on timeout
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= limit || waiting.length === 0) return;
+
+    active++;
+    const { task, timeoutMs, timeoutMessage, resolve, reject } = waiting.shift();
+    const controller = new AbortController();
+    const timer = timeoutMs && setTimeout(() => {
+      controller.abort(new Error(timeoutMessage || `Timed out after ${timeoutMs} ms`));
+      reject(controller.signal.reason);
+    }, timeoutMs);
+
+    Promise.resolve()
+      .then(() => task(controller.signal))
+      .then(resolve, reject)
+      .finally(() => {
+        clearTimeout(timer);
+        active--;
+        next();
+      });
+  };
+
+  return (task, { timeoutMs = 0, timeoutMessage } = {}) => new Promise((resolve, reject) => {
+    waiting.push({ task, timeoutMs, timeoutMessage, resolve, reject });
+    next();
+  });
+}
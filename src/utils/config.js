@@ -3,14 +3,100 @@
  * Handles reading and writing extension configuration
  */
 
+import { DEFAULT_PBKDF2_ITERATIONS } from './encryption.js';
+import { DEFAULT_OUTPUT_FORMATS } from './formats.js';
+import { normalizeApiRule } from './api-rules.js';
+
+// Default periodic sync schedule for a domain
+export const DEFAULT_SCHEDULE = {
+  mode: 'off', // 'off', 'interval' or 'daily'
+  intervalMinutes: 60,
+  dailyTime: '03:00' // Local time, HH:MM
+};
+
+// Default web storage capture settings for a domain
+export const DEFAULT_WEB_STORAGE = {
+  enabled: false,
+  local: true, // Capture localStorage
+  session: false, // Capture sessionStorage
+  keys: [] // Empty means all keys
+};
+
+// Default response capture settings for a domain (API path monitoring only)
+export const DEFAULT_RESPONSE_CAPTURE = {
+  enabled: false,
+  headers: [] // Response header names to record in addition to Set-Cookie
+};
+
+// Default request header filter for a domain (exact names or glob/regex patterns)
+export const DEFAULT_HEADER_FILTER = {
+  allow: [], // Empty means keep all headers
+  deny: [], // Always dropped, even when allowed
+  redact: [] // Kept, but the value is replaced with a SHA-256 hash
+};
+
+// Default cookie filter for a domain (exact names or glob/regex patterns)
+export const DEFAULT_COOKIE_FILTER = {
+  include: [], // Empty means keep all cookies
+  exclude: [], // Always dropped, even when included
+  redact: [], // Kept, but the value is replaced with a SHA-256 hash
+  dropExpired: false,
+  dropSession: false
+};
+
+// Default change detection settings for a domain
+export const DEFAULT_CHANGE_DETECTION = {
+  headerChangeThreshold: 20, // % of common request headers that must change before an API path sync
+  significantHeaders: [], // Header patterns whose changes always sync, regardless of the threshold
+  apiSyncDebounceMs: 2000, // Debounce after an API path request change
+  autoSyncDebounceMs: 5000 // Debounce after a cookie or web storage change
+};
+
+// Upper bound for debounce settings
+const MAX_DEBOUNCE_MS = 600000; // 10 minutes
+
+/**
+ * Normalize a domain configuration, filling in defaults for missing settings
+ * @param {Object|string} item - Domain config object, or domain string (old format)
+ * @returns {Object} Domain configuration
+ */
+function normalizeDomainConfig(item) {
+  const domainConfig = typeof item === 'string' ? { domain: item } : (item || {});
+
+  return {
+    domain: domainConfig.domain || '',
+    // API rules (see api-rules.js); empty means monitor all cookies
+    apiPaths: Array.isArray(domainConfig.apiPaths) ? domainConfig.apiPaths.map(normalizeApiRule) : [],
+    // 'domain' merges captured requests of all API paths, 'path' keeps them per API path pattern
+    captureScope: domainConfig.captureScope === 'path' ? 'path' : 'domain',
+    schedule: { ...DEFAULT_SCHEDULE, ...(domainConfig.schedule || {}) },
+    // 'json', 'cookiestxt' and/or 'storagestate'
+    outputFormats: Array.isArray(domainConfig.outputFormats) && domainConfig.outputFormats.length > 0
+      ? domainConfig.outputFormats
+      : [...DEFAULT_OUTPUT_FORMATS],
+    webStorage: { ...DEFAULT_WEB_STORAGE, ...(domainConfig.webStorage || {}) },
+    responseCapture: { ...DEFAULT_RESPONSE_CAPTURE, ...(domainConfig.responseCapture || {}) },
+    headerFilter: { ...DEFAULT_HEADER_FILTER, ...(domainConfig.headerFilter || {}) },
+    cookieFilter: { ...DEFAULT_COOKIE_FILTER, ...(domainConfig.cookieFilter || {}) },
+    changeDetection: { ...DEFAULT_CHANGE_DETECTION, ...(domainConfig.changeDetection || {}) }
+  };
+}
+
 const DEFAULT_CONFIG = {
-  targetDomains: [
-    {
-      domain: 'binance.com',
-      apiPaths: [] // Empty means monitor all cookies (backward compatible)
-    }
-  ],
+  targetDomains: [normalizeDomainConfig('binance.com')],
   autoSync: false,
+  encryption: {
+    enabled: false,
+    mode: 'passphrase', // 'passphrase' or 'recipients'
+    passphrase: '',
+    recipientKeys: '', // Recipient public keys (JWK) for 'recipients' mode
+    iterations: DEFAULT_PBKDF2_ITERATIONS
+  },
+  history: {
+    enabled: false,
+    keepLast: 10, // 0 means no count limit
+    keepDays: 0 // 0 means no age limit
+  },
   services: {
     firebase: {
       enabled: false,
@@ -26,14 +112,33 @@ const DEFAULT_CONFIG = {
     },
     aws: {
       enabled: false,
+      authMode: 'credentials', // 'credentials' or 'presigned' (no AWS secrets in the extension)
+      signerUrl: '', // Endpoint that returns a pre-signed PUT URL in 'presigned' mode
+      signerHeaders: '', // Headers for the signer request, one "Name: value" per line
       accessKeyId: '',
       secretAccessKey: '',
       bucket: '',
-      region: 'us-east-1'
+      region: 'us-east-1',
+      provider: 'aws', // Options page preset: 'aws', 'r2', 'b2', 'wasabi', 'minio' or 'custom'
+      endpoint: '', // Custom S3-compatible endpoint (MinIO, R2, B2, Wasabi); empty for AWS
+      forcePathStyle: false, // Use https://endpoint/bucket/key instead of https://bucket.endpoint/key
+      sessionToken: '' // Optional, for temporary (STS) credentials
+    },
+    webhook: {
+      enabled: false,
+      url: '',
+      method: 'POST', // 'POST' or 'PUT'
+      headers: '', // One "Name: value" per line
+      hmacSecret: '', // Optional HMAC-SHA256 signing secret
+      signatureHeader: 'X-Cookie-Sync-Signature',
+      timeoutSeconds: 10
     }
   }
 };
 
+// Services that store files in a bucket (support pull, listing and history)
+export const BUCKET_SERVICES = ['firebase', 'supabase', 'aws'];
+
 /**
  * Get current configuration
  * @returns {Promise<Object>} Configuration object
@@ -51,10 +156,7 @@ function migrateConfig(oldConfig) {
     if (typeof firstItem === 'string') {
       return {
         ...oldConfig,
-        targetDomains: oldConfig.targetDomains.map(domain => ({
-          domain: domain,
-          apiPaths: []
-        }))
+        targetDomains: oldConfig.targetDomains.map(normalizeDomainConfig)
       };
     }
   }
@@ -72,24 +174,19 @@ export async function getConfig() {
       const config = {
         ...DEFAULT_CONFIG,
         ...migratedConfig,
+        encryption: { ...DEFAULT_CONFIG.encryption, ...(migratedConfig.encryption || {}) },
+        history: { ...DEFAULT_CONFIG.history, ...(migratedConfig.history || {}) },
         services: {
           firebase: { ...DEFAULT_CONFIG.services.firebase, ...(migratedConfig.services?.firebase || {}) },
           supabase: { ...DEFAULT_CONFIG.services.supabase, ...(migratedConfig.services?.supabase || {}) },
-          aws: { ...DEFAULT_CONFIG.services.aws, ...(migratedConfig.services?.aws || {}) }
+          aws: { ...DEFAULT_CONFIG.services.aws, ...(migratedConfig.services?.aws || {}) },
+          webhook: { ...DEFAULT_CONFIG.services.webhook, ...(migratedConfig.services?.webhook || {}) }
         }
       };
       
       // Ensure targetDomains is in new format
       if (config.targetDomains && Array.isArray(config.targetDomains)) {
-        config.targetDomains = config.targetDomains.map(item => {
-          if (typeof item === 'string') {
-            return { domain: item, apiPaths: [] };
-          }
-          return {
-            domain: item.domain || '',
-            apiPaths: Array.isArray(item.apiPaths) ? item.apiPaths : []
-          };
-        }).filter(item => item.domain);
+        config.targetDomains = config.targetDomains.map(normalizeDomainConfig).filter(item => item.domain);
       } else {
         config.targetDomains = DEFAULT_CONFIG.targetDomains;
       }
@@ -103,6 +200,31 @@ export async function getConfig() {
   }
 }
 
+// In-memory configuration (a pending or resolved getConfig promise) for hot paths such as webRequest listeners
+let cachedConfig = null;
+
+// Drop the cached configuration whenever the stored one changes
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.config) {
+      cachedConfig = null;
+    }
+  });
+}
+
+/**
+ * Get the configuration from the in-memory cache, reading storage only after a change
+ * The same object is returned until the config changes, so callers must not modify it;
+ * a new object therefore also marks a new config version
+ * @returns {Promise<Object>} Configuration
+ */
+export function getCachedConfig() {
+  if (!cachedConfig) {
+    cachedConfig = getConfig();
+  }
+  return cachedConfig;
+}
+
 /**
  * Save configuration
  * @param {Object} config - Configuration object to save
@@ -114,7 +236,20 @@ export async function saveConfig(config) {
     
     // Update host permissions if domains changed
     const domains = config.targetDomains || DEFAULT_CONFIG.targetDomains;
-    await updateHostPermissions(domains);
+    const extraOrigins = [];
+    const serviceUrls = [
+      config.services?.webhook?.enabled && config.services.webhook.url,
+      config.services?.aws?.enabled && config.services.aws.endpoint,
+      config.services?.aws?.enabled && config.services.aws.authMode === 'presigned' && config.services.aws.signerUrl
+    ].filter(Boolean);
+    serviceUrls.forEach(url => {
+      try {
+        extraOrigins.push(`${new URL(url).origin}/*`);
+      } catch (e) {
+        // Invalid URL is reported by the options page validation
+      }
+    });
+    await updateHostPermissions(domains, extraOrigins);
   } catch (error) {
     console.error('Error saving config:', error);
     throw error;
@@ -124,12 +259,13 @@ export async function saveConfig(config) {
 /**
  * Update host permissions based on configured domains
  * @param {Array} targetDomains - Array of domain config objects or strings (for backward compat)
+ * @param {Array<string>} extraOrigins - Additional origin patterns (e.g. webhook URL)
  * @returns {Promise<void>}
  */
-async function updateHostPermissions(targetDomains) {
+async function updateHostPermissions(targetDomains, extraOrigins = []) {
   try {
     const permissions = {
-      origins: []
+      origins: [...extraOrigins]
     };
     
     // Handle both old format (strings) and new format (objects)
@@ -167,6 +303,7 @@ export async function getEnabledServices() {
   if (config.services.firebase?.enabled) enabled.push('firebase');
   if (config.services.supabase?.enabled) enabled.push('supabase');
   if (config.services.aws?.enabled) enabled.push('aws');
+  if (config.services.webhook?.enabled) enabled.push('webhook');
   
   return enabled;
 }
@@ -205,51 +342,92 @@ export function parseDomains(input) {
 }
 
 /**
- * Validate API path format
- * @param {string} path - API path to validate
+ * Check that a URL uses HTTPS, or HTTP on localhost for local testing
+ * @param {string} url - URL to validate
  * @returns {boolean} True if valid
  */
-export function validateApiPath(path) {
-  if (!path || typeof path !== 'string') return false;
-  
-  const trimmed = path.trim();
-  
-  // Must start with /
-  if (!trimmed.startsWith('/')) return false;
-  
-  // Can contain wildcards (*)
-  // Basic validation: allow alphanumeric, /, *, -, _, .
-  const pathRegex = /^\/[a-zA-Z0-9\/\*\-_\.]*$/;
-  return pathRegex.test(trimmed);
+function isHttpsOrLocalUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol === 'https:') return true;
+    return parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  } catch (e) {
+    return false;
+  }
 }
 
 /**
- * Convert wildcard path to regex pattern
- * @param {string} path - API path with optional wildcards
- * @returns {RegExp} Regex pattern for matching
+ * Validate webhook URL (HTTPS, or HTTP for localhost testing)
+ * @param {string} url - Webhook URL
+ * @returns {boolean} True if valid
  */
-export function pathToRegex(path) {
-  // Escape special regex characters except *
-  let pattern = path
-    .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // Escape special chars
-    .replace(/\*/g, '.*'); // Convert * to .*
-  
-  return new RegExp(`^${pattern}$`);
+export function validateWebhookUrl(url) {
+  return isHttpsOrLocalUrl(url);
 }
 
 /**
- * Check if URL path matches any of the configured API paths
- * @param {string} urlPath - URL path to check
- * @param {string[]} apiPaths - Array of API paths (may contain wildcards)
- * @returns {boolean} True if matches
+ * Validate pre-signed URL signer endpoint (HTTPS, or HTTP for localhost testing)
+ * @param {string} url - Signer URL
+ * @returns {boolean} True if valid
  */
-export function matchesApiPath(urlPath, apiPaths) {
-  if (!apiPaths || apiPaths.length === 0) return false;
-  
-  return apiPaths.some(path => {
-    const regex = pathToRegex(path);
-    return regex.test(urlPath);
+export function validateSignerUrl(url) {
+  return isHttpsOrLocalUrl(url);
+}
+
+/**
+ * Validate a custom S3 endpoint (HTTPS, or HTTP for a local MinIO)
+ * Preset placeholders such as <account-id> must be filled in
+ * @param {string} endpoint - Endpoint URL
+ * @returns {boolean} True if valid
+ */
+export function validateS3Endpoint(endpoint) {
+  if (/[<>]/.test(endpoint || '')) return false;
+  return isHttpsOrLocalUrl(endpoint);
+}
+
+/**
+ * Validate domain change detection settings (significant header patterns are validated separately)
+ * @param {Object} settings - { headerChangeThreshold, apiSyncDebounceMs, autoSyncDebounceMs }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateChangeDetection(settings) {
+  const threshold = Number(settings?.headerChangeThreshold);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    return 'Header change threshold must be a percentage between 0 and 100';
+  }
+
+  for (const [key, label] of [['apiSyncDebounceMs', 'API path'], ['autoSyncDebounceMs', 'Auto Sync']]) {
+    const delay = Number(settings[key]);
+    if (!Number.isInteger(delay) || delay < 0 || delay > MAX_DEBOUNCE_MS) {
+      return `${label} debounce must be a whole number of milliseconds between 0 and ${MAX_DEBOUNCE_MS}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse header lines ("Name: value" per line) into an object
+ * @param {string} input - Header lines
+ * @returns {Object} Headers object
+ */
+export function parseHeaderLines(input) {
+  const headers = {};
+  if (!input || typeof input !== 'string') return headers;
+
+  input.split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+    const name = line.slice(0, index).trim();
+    const value = line.slice(index + 1).trim();
+    if (name) {
+      headers[name] = value;
+    }
   });
+
+  return headers;
 }
 
 
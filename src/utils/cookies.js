@@ -4,6 +4,13 @@
  */
 
 import { getConfig } from './config.js';
+import { getWebStorageForDomain } from './web-storage.js';
+import { applyCookieFilter, isCookieKept, getCompiledFilters } from './filters.js';
+import { mergePathCookies } from './formats.js';
+import { getApiRuleKey } from './api-rules.js';
+
+// Value of redacted cookies (see hashValue in hash.js)
+const REDACTED_VALUE_PATTERN = /^sha256:[0-9a-f]{64}$/;
 
 /**
  * Get all cookies for configured domains
@@ -73,14 +80,60 @@ export async function getFormattedCookies() {
  * Format cookies/headers data for upload (new format)
  * @param {Object} cookies - Cookies object { name: value }
  * @param {Object} headers - Headers object { name: value }
+ * @param {Object} response - Optional captured response data { headers, setCookies }
  * @returns {Object} Formatted data
  */
-export function formatCookiesHeadersForUpload(cookies, headers) {
-  return {
+export function formatCookiesHeadersForUpload(cookies, headers, response = null) {
+  const data = {
     timestamp: Date.now(),
     cookies: cookies || {},
     headers: headers || {}
   };
+
+  if (response) {
+    data.response = {
+      headers: response.headers || {},
+      setCookies: response.setCookies || {}
+    };
+  }
+
+  return data;
+}
+
+/**
+ * Format per-path captured data for upload (per-path capture scope)
+ * Only API rules that are still configured are included
+ * @param {Object} paths - { [ruleKey]: { cookies, headers, lastSeen } }
+ * @param {Array<Object>} apiPaths - Configured API rules
+ * @param {Object} response - Optional captured response data { headers, setCookies }
+ * @returns {Object|null} Formatted data, or null if no configured path was captured
+ */
+export function formatPathsForUpload(paths, apiPaths, response = null) {
+  const ruleKeys = apiPaths.map(getApiRuleKey);
+  const kept = Object.fromEntries(
+    Object.entries(paths || {})
+      .filter(([ruleKey]) => ruleKeys.includes(ruleKey))
+      .map(([ruleKey, entry]) => [ruleKey, {
+        cookies: entry.cookies || {},
+        headers: entry.headers || {},
+        lastSeen: entry.lastSeen || null
+      }])
+  );
+  if (Object.keys(kept).length === 0) return null;
+
+  const data = {
+    timestamp: Date.now(),
+    paths: kept
+  };
+
+  if (response) {
+    data.response = {
+      headers: response.headers || {},
+      setCookies: response.setCookies || {}
+    };
+  }
+
+  return data;
 }
 
 /**
@@ -104,14 +157,20 @@ export async function getFormattedCookiesByDomain() {
       const apiPaths = typeof domainConfig === 'string' ? [] : (domainConfig.apiPaths || []);
 
       try {
+        // Captured localStorage/sessionStorage (opt-in per domain)
+        const storage = domainConfig.webStorage?.enabled ? await getWebStorageForDomain(domain) : null;
+
         // If API paths are configured, use API monitor data
         if (apiPaths && apiPaths.length > 0) {
           const storedApiData = apiDataMap.get(domain);
-          if (storedApiData && storedApiData.cookies && storedApiData.headers) {
-            const cookieData = formatCookiesHeadersForUpload(
-              storedApiData.cookies,
-              storedApiData.headers
-            );
+          const response = domainConfig.responseCapture?.enabled ? storedApiData?.response : null;
+          const cookieData = domainConfig.captureScope === 'path'
+            ? formatPathsForUpload(storedApiData?.paths, apiPaths, response)
+            : storedApiData && storedApiData.cookies && storedApiData.headers
+              ? formatCookiesHeadersForUpload(storedApiData.cookies, storedApiData.headers, response)
+              : null;
+          if (cookieData) {
+            if (storage) cookieData.storage = storage;
             results.push({
               domain,
               cookieData
@@ -121,9 +180,13 @@ export async function getFormattedCookiesByDomain() {
         }
 
         // Fall back to cookie-only mode (backward compatible)
-        const cookies = await chrome.cookies.getAll({ domain });
-        if (cookies.length > 0) {
+        const cookies = await applyCookieFilter(
+          await chrome.cookies.getAll({ domain }),
+          getCompiledFilters(domainConfig).cookieFilter
+        );
+        if (cookies.length > 0 || storage) {
           const cookieData = formatCookiesForUpload(cookies);
+          if (storage) cookieData.storage = storage;
           results.push({
             domain,
             cookieData
@@ -163,20 +226,153 @@ export function setupCookieChangeListener(callback) {
   };
 }
 
+/**
+ * Check whether a cookie domain is a configured domain or one of its subdomains
+ * @param {string} cookieDomain - Cookie domain (a leading dot marks a domain cookie)
+ * @param {string} domain - Configured domain
+ * @returns {boolean} True if the cookie belongs to the domain
+ */
+function isCookieDomainOf(cookieDomain, domain) {
+  const host = cookieDomain.replace(/^\./, '').toLowerCase();
+  const cleanDomain = domain.replace(/^\./, '').toLowerCase();
+  return host === cleanDomain || host.endsWith('.' + cleanDomain);
+}
+
+/**
+ * Find the configured domain a cookie change belongs to
+ * Cookies dropped by the domain cookie filter are ignored, so their churn does not trigger syncs
+ * @param {Object} changeInfo - Cookie change information
+ * @param {Array<Object|string>} domains - Configured domain configs (or domain names)
+ * @returns {Object|string|null} Matching domain config (or name), or null
+ */
+export function findCookieChangeDomain(changeInfo, domains) {
+  if (!changeInfo.cookie) return null;
+
+  return domains.find(item => {
+    const domain = typeof item === 'string' ? item : item.domain;
+    if (!domain || !isCookieDomainOf(changeInfo.cookie.domain, domain)) return false;
+
+    // A removed cookie was part of the payload while it was alive, so skip the expiry checks
+    return typeof item === 'string' ||
+      isCookieKept(changeInfo.cookie, getCompiledFilters(item).cookieFilter, { checkExpiry: !changeInfo.removed });
+  }) || null;
+}
+
 /**
  * Check if a cookie change is for a configured domain
  * @param {Object} changeInfo - Cookie change information
- * @param {Array<string>} domains - Configured domains
+ * @param {Array<Object|string>} domains - Configured domain configs (or domain names)
  * @returns {boolean} True if change is for a configured domain
  */
 export function isCookieChangeForDomain(changeInfo, domains) {
-  if (!changeInfo.cookie) return false;
-
-  const cookieDomain = changeInfo.cookie.domain;
-  return domains.some(domain => {
-    // Remove leading dot for comparison
-    const cleanDomain = domain.replace(/^\./, '');
-    return cookieDomain === cleanDomain || cookieDomain.endsWith('.' + cleanDomain);
-  });
+  return findCookieChangeDomain(changeInfo, domains) !== null;
 }
 
+
+/**
+ * Build chrome.cookies.set details from a synced cookie
+ * @param {Object} cookie - Cookie in the formatCookiesForUpload shape
+ * @returns {Object} Details for chrome.cookies.set
+ */
+function buildCookieSetDetails(cookie) {
+  const host = cookie.domain.replace(/^\./, '');
+  const path = cookie.path || '/';
+
+  const details = {
+    url: `${cookie.secure ? 'https' : 'http'}://${host}${path}`,
+    name: cookie.name,
+    value: cookie.value,
+    path,
+    secure: !!cookie.secure,
+    httpOnly: !!cookie.httpOnly
+  };
+
+  // A leading dot marks a domain cookie; without it the cookie is host-only
+  if (cookie.domain.startsWith('.')) {
+    details.domain = cookie.domain;
+  }
+
+  if (cookie.sameSite && cookie.sameSite !== 'unspecified') {
+    details.sameSite = cookie.sameSite;
+  }
+
+  // Session cookies have no expirationDate and stay session cookies
+  if (cookie.expirationDate) {
+    details.expirationDate = cookie.expirationDate;
+  }
+
+  return details;
+}
+
+/**
+ * Write synced cookies back into the browser
+ * Only the full cookie format (All Cookies mode) carries the attributes
+ * needed to restore a cookie faithfully
+ * Cookies outside the configured domain are never written, so a tampered file cannot
+ * plant cookies on other hosts
+ * @param {Object} cookieData - Downloaded cookie data
+ * @param {string} domain - Configured domain the file was downloaded for
+ * @returns {Promise<Object>} { restored: Array<string>, skipped: Array<{name, domain, reason}> }
+ */
+export async function restoreCookies(cookieData, domain) {
+  const restored = [];
+  const skipped = [];
+
+  if (!cookieData || !Array.isArray(cookieData.cookies)) {
+    const names = Object.keys(cookieData?.paths ? mergePathCookies(cookieData.paths) : cookieData?.cookies || {});
+    names.forEach(name => {
+      skipped.push({
+        name,
+        domain: null,
+        reason: 'Payload has no cookie attributes (API path monitoring format)'
+      });
+    });
+    return { restored, skipped };
+  }
+
+  const nowSeconds = Date.now() / 1000;
+
+  for (const cookie of cookieData.cookies) {
+    if (!cookie.name || !cookie.domain) {
+      skipped.push({ name: cookie.name || '', domain: cookie.domain || null, reason: 'Missing name or domain' });
+      continue;
+    }
+
+    if (!isCookieDomainOf(cookie.domain, domain)) {
+      skipped.push({ name: cookie.name, domain: cookie.domain, reason: 'Domain does not match' });
+      continue;
+    }
+
+    if (cookie.expirationDate && cookie.expirationDate <= nowSeconds) {
+      skipped.push({ name: cookie.name, domain: cookie.domain, reason: 'Expired' });
+      continue;
+    }
+
+    if (REDACTED_VALUE_PATTERN.test(cookie.value || '')) {
+      skipped.push({ name: cookie.name, domain: cookie.domain, reason: 'Value is redacted' });
+      continue;
+    }
+
+    if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+      skipped.push({ name: cookie.name, domain: cookie.domain, reason: 'SameSite=None requires a secure cookie' });
+      continue;
+    }
+
+    try {
+      const result = await chrome.cookies.set(buildCookieSetDetails(cookie));
+      if (result) {
+        restored.push(cookie.name);
+      } else {
+        skipped.push({
+          name: cookie.name,
+          domain: cookie.domain,
+          reason: chrome.runtime.lastError?.message || 'Rejected by browser'
+        });
+      }
+    } catch (error) {
+      skipped.push({ name: cookie.name, domain: cookie.domain, reason: error.message || 'Rejected by browser' });
+    }
+  }
+
+  return { restored, skipped };
+}
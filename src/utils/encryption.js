@@ -0,0 +1,436 @@
+/**
+ * Payload encryption utility
+ * Encrypts cookie payloads client-side before upload and decrypts them back
+ *
+ * This module only depends on WebCrypto (no chrome.* APIs), so consumers can
+ * import it directly to read uploaded files (browsers, Node 19+, Deno, workers).
+ */
+
+export const ENVELOPE_VERSION = 1;
+export const DEFAULT_PBKDF2_ITERATIONS = 310000;
+const MIN_PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_WRAP_INFO = 'cookies-sync/v1/ECDH-ES+A256KW';
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Encode bytes or a string as base64url (no padding)
+ * @param {Uint8Array|string} input - Data to encode
+ * @returns {string} base64url string
+ */
+function toBase64Url(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} AES-256-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether a parsed file is an encryption envelope
+ * @param {Object} data - Parsed JSON file contents
+ * @returns {boolean} True if data is an envelope
+ */
+export function isEncryptedEnvelope(data) {
+  return !!data && data.encrypted === true && typeof data.ciphertext === 'string';
+}
+
+/**
+ * Encrypt a payload with a passphrase
+ * @param {Object} payload - JSON-serializable payload
+ * @param {string} passphrase - Passphrase
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Object>} Encryption envelope
+ */
+export async function encryptWithPassphrase(payload, passphrase, iterations = DEFAULT_PBKDF2_ITERATIONS) {
+  if (!passphrase) {
+    throw new Error('Encryption passphrase is not set');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, iterations);
+
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+  return {
+    version: ENVELOPE_VERSION,
+    encrypted: true,
+    mode: 'passphrase',
+    alg: 'AES-256-GCM',
+    kdf: {
+      name: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations
+    },
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a passphrase envelope
+ * @param {Object|string} envelope - Envelope object or its JSON string
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Decrypted payload
+ */
+export async function decryptWithPassphrase(envelope, passphrase) {
+  const data = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+
+  if (!isEncryptedEnvelope(data)) {
+    throw new Error('Data is not an encrypted envelope');
+  }
+  if (data.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${data.version}`);
+  }
+  if (data.mode !== 'passphrase' || data.kdf?.name !== 'PBKDF2') {
+    throw new Error('Envelope was not encrypted with a passphrase');
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(data.salt), data.kdf.iterations);
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(data.iv) },
+      key,
+      fromBase64(data.ciphertext)
+    );
+  } catch (e) {
+    throw new Error('Decryption failed: wrong passphrase or corrupted data');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Get WebCrypto algorithm parameters for a recipient public key
+ * @param {Object} jwk - Public key JWK
+ * @returns {Object} Import algorithm
+ */
+function getKeyAgreementAlgorithm(jwk) {
+  if (jwk.kty === 'EC' && jwk.crv === 'P-256') {
+    return { name: 'ECDH', namedCurve: 'P-256' };
+  }
+  if (jwk.kty === 'OKP' && jwk.crv === 'X25519') {
+    return { name: 'X25519' };
+  }
+  throw new Error(`Unsupported recipient key type: ${jwk.kty}/${jwk.crv} (expected EC P-256 or OKP X25519)`);
+}
+
+/**
+ * Compute the RFC 7638 JWK thumbprint of a public key
+ * Used as the recipient key id; it only covers the public members, so a public JWK and
+ * its private JWK give the same id (a "kid" member is ignored)
+ * @param {Object} jwk - Public or private key JWK
+ * @returns {Promise<string>} base64url SHA-256 thumbprint
+ */
+export async function getJwkThumbprint(jwk) {
+  // Members must be in lexicographic order
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(members)));
+  return toBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * Parse recipient public keys
+ * Accepts a single JWK, a JSON array of JWKs, or one JWK per line
+ * @param {string|Array|Object} input - Recipient keys
+ * @returns {Array<Object>} Public key JWKs (only the public members are kept)
+ */
+export function parseRecipientKeys(input) {
+  if (!input) return [];
+
+  let keys;
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    if (!trimmed) return [];
+    try {
+      keys = JSON.parse(trimmed);
+    } catch (e) {
+      try {
+        keys = trimmed.split('\n').map(line => line.trim()).filter(Boolean).map(line => JSON.parse(line));
+      } catch (lineError) {
+        throw new Error('Recipient keys must be a JWK, a JSON array of JWKs, or one JWK per line');
+      }
+    }
+  } else {
+    keys = input;
+  }
+
+  if (!Array.isArray(keys)) {
+    keys = [keys];
+  }
+
+  return keys.map((jwk, index) => {
+    if (!jwk || typeof jwk !== 'object') {
+      throw new Error(`Recipient key ${index + 1} is not a JWK object`);
+    }
+    if (jwk.d) {
+      throw new Error(`Recipient key ${index + 1} contains a private key. Paste the public key only`);
+    }
+    getKeyAgreementAlgorithm(jwk);
+    const { kty, crv, x, y } = jwk;
+    return kty === 'EC' ? { kty, crv, x, y } : { kty, crv, x };
+  });
+}
+
+/**
+ * Derive an AES-KW key from an ECDH shared secret with HKDF-SHA256
+ * @param {Object} algorithm - Key agreement algorithm
+ * @param {CryptoKey} privateKey - Our private key
+ * @param {CryptoKey} publicKey - Their public key
+ * @param {Uint8Array} salt - HKDF salt
+ * @param {string} kid - Recipient key id (bound into HKDF info)
+ * @returns {Promise<CryptoKey>} Key wrapping key
+ */
+async function deriveWrappingKey(algorithm, privateKey, publicKey, salt, kid) {
+  const sharedSecret = await crypto.subtle.deriveBits(
+    { name: algorithm.name, public: publicKey },
+    privateKey,
+    256
+  );
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(`${KEY_WRAP_INFO}/${kid}`) },
+    hkdfKey,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Encrypt a payload for one or more recipient public keys
+ * A random content key encrypts the payload; each recipient gets that key
+ * wrapped with an ECDH-ES + HKDF + AES-KW derived key. The encrypting side
+ * keeps nothing that can decrypt the result.
+ * @param {Object} payload - JSON-serializable payload
+ * @param {Array<Object>} recipientKeys - Recipient public key JWKs
+ * @returns {Promise<Object>} Encryption envelope
+ */
+export async function encryptForRecipients(payload, recipientKeys) {
+  if (!recipientKeys || recipientKeys.length === 0) {
+    throw new Error('No recipient public keys configured');
+  }
+
+  const contentKey = await crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt']
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, contentKey, plaintext);
+
+  const recipients = [];
+  for (const jwk of recipientKeys) {
+    const algorithm = getKeyAgreementAlgorithm(jwk);
+    const kid = await getJwkThumbprint(jwk);
+    const recipientKey = await crypto.subtle.importKey('jwk', { ...jwk, key_ops: [] }, algorithm, false, []);
+    const ephemeral = await crypto.subtle.generateKey(algorithm, true, ['deriveBits']);
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+
+    const wrappingKey = await deriveWrappingKey(algorithm, ephemeral.privateKey, recipientKey, salt, kid);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', contentKey, wrappingKey, 'AES-KW');
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', ephemeral.publicKey);
+
+    recipients.push({
+      kid,
+      alg: 'ECDH-ES+HKDF-SHA256+A256KW',
+      epk: kty === 'EC' ? { kty, crv, x, y } : { kty, crv, x },
+      salt: toBase64(salt),
+      wrappedKey: toBase64(new Uint8Array(wrappedKey))
+    });
+  }
+
+  return {
+    version: ENVELOPE_VERSION,
+    encrypted: true,
+    mode: 'recipients',
+    alg: 'AES-256-GCM',
+    recipients,
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a recipient envelope with a private key
+ * @param {Object|string} envelope - Envelope object or its JSON string
+ * @param {Object|string} privateJwk - Recipient private key JWK (object or JSON string)
+ * @returns {Promise<Object>} Decrypted payload
+ */
+export async function decryptWithPrivateKey(envelope, privateJwk) {
+  const data = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+  const jwk = typeof privateJwk === 'string' ? JSON.parse(privateJwk) : privateJwk;
+
+  if (!isEncryptedEnvelope(data)) {
+    throw new Error('Data is not an encrypted envelope');
+  }
+  if (data.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version: ${data.version}`);
+  }
+  if (data.mode !== 'recipients') {
+    throw new Error('Envelope was not encrypted for recipients');
+  }
+  if (!jwk || !jwk.d) {
+    throw new Error('A private key JWK is required to decrypt');
+  }
+
+  const algorithm = getKeyAgreementAlgorithm(jwk);
+  const kid = await getJwkThumbprint(jwk);
+  const recipient = data.recipients.find(r => r.kid === kid);
+  if (!recipient) {
+    throw new Error(`Envelope has no entry for key ${kid}`);
+  }
+
+  const privateKey = await crypto.subtle.importKey('jwk', { ...jwk, key_ops: ['deriveBits'] }, algorithm, false, ['deriveBits']);
+  const ephemeralKey = await crypto.subtle.importKey('jwk', recipient.epk, algorithm, false, []);
+  const wrappingKey = await deriveWrappingKey(algorithm, privateKey, ephemeralKey, fromBase64(recipient.salt), kid);
+
+  let plaintext;
+  try {
+    const contentKey = await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(recipient.wrappedKey),
+      wrappingKey,
+      'AES-KW',
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['decrypt']
+    );
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(data.iv) },
+      contentKey,
+      fromBase64(data.ciphertext)
+    );
+  } catch (e) {
+    throw new Error('Decryption failed: wrong private key or corrupted data');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Validate encryption settings
+ * @param {Object} encryption - Encryption configuration
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateEncryptionConfig(encryption) {
+  if (!encryption || !encryption.enabled) return null;
+
+  if (encryption.mode === 'recipients') {
+    try {
+      const keys = parseRecipientKeys(encryption.recipientKeys);
+      if (keys.length === 0) {
+        return 'At least one recipient public key is required';
+      }
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+
+  if (!encryption.passphrase || encryption.passphrase.length < 8) {
+    return 'Encryption passphrase must be at least 8 characters';
+  }
+
+  const iterations = Number(encryption.iterations);
+  if (!Number.isInteger(iterations) || iterations < MIN_PBKDF2_ITERATIONS) {
+    return `PBKDF2 iterations must be an integer of at least ${MIN_PBKDF2_ITERATIONS}`;
+  }
+
+  return null;
+}
+
+/**
+ * Encrypt a payload according to the configured encryption settings
+ * Returns the payload unchanged when encryption is disabled
+ * @param {Object} payload - Formatted cookie data
+ * @param {Object} encryption - Encryption configuration
+ * @returns {Promise<Object>} Payload to upload
+ */
+export async function encryptPayload(payload, encryption) {
+  if (!encryption || !encryption.enabled) {
+    return payload;
+  }
+
+  const error = validateEncryptionConfig(encryption);
+  if (error) {
+    throw new Error(error);
+  }
+
+  if (encryption.mode === 'recipients') {
+    return encryptForRecipients(payload, parseRecipientKeys(encryption.recipientKeys));
+  }
+
+  return encryptWithPassphrase(payload, encryption.passphrase, Number(encryption.iterations));
+}
+
+/**
+ * Decrypt an uploaded file
+ * Returns the data unchanged when it is not an envelope
+ * @param {Object|string} data - File contents (object or JSON string)
+ * @param {string|Object} secret - Passphrase, or private key JWK for recipient envelopes
+ * @returns {Promise<Object>} Decrypted payload
+ */
+export async function decryptPayload(data, secret) {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!isEncryptedEnvelope(parsed)) {
+    return parsed;
+  }
+  if (parsed.mode === 'recipients') {
+    return decryptWithPrivateKey(parsed, secret);
+  }
+  return decryptWithPassphrase(parsed, secret);
+}
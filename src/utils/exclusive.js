@@ -0,0 +1,44 @@
+/**
+ * Exclusive Updates
+ * Serializes async work per key within this context, e.g. read-modify-write cycles
+ * on a chrome.storage.local key that concurrent events update
+ */
+
+// Promise chain per key (removed once the key is idle)
+const locks = new Map();
+
+/**
+ * Run a function exclusively for a key
+ * Calls for the same key run one at a time in call order; a failing call does not block later ones
+ * @param {string} key - Lock key
+ * @param {Function} fn - Async function
+ * @returns {Promise<*>} Value returned by fn
+ */
+export function runExclusive(key, fn) {
+  const run = (locks.get(key) || Promise.resolve()).then(fn);
+
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) {
+      locks.delete(key);
+    }
+  });
+
+  return run;
+}
+
+/**
+ * Read, update and write a chrome.storage.local value exclusively
+ * @param {string} storageKey - Storage key (also the lock key)
+ * @param {Function} fn - Async function receiving the stored value (undefined if not set) and returning the new value
+ * @returns {Promise<*>} New value
+ */
+export function updateStoredValue(storageKey, fn) {
+  return runExclusive(storageKey, async () => {
+    const result = await chrome.storage.local.get([storageKey]);
+    const updated = await fn(result[storageKey]);
+    await chrome.storage.local.set({ [storageKey]: updated });
+    return updated;
+  });
+}
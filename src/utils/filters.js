@@ -0,0 +1,228 @@
+/**
+ * Capture filters
+ * Name patterns (exact, glob or /regex/) and per-domain filtering/redaction of captured headers and cookies
+ * Redacted values are replaced by their hash, which still changes when the value changes,
+ * so change detection keeps working
+ */
+
+import { hashValue } from './hash.js';
+
+// Compiled filters per domain config object; the cached config is replaced on every
+// config change, so patterns are compiled once per config version
+const compiledFiltersByDomain = new WeakMap();
+
+// Compiled filters of a missing domain config (everything is kept)
+const NO_FILTERS = { headerFilter: null, cookieFilter: null, significantHeaders: [] };
+
+/**
+ * Compile a name pattern
+ * "/.../" is a regular expression; anything else is an exact name or a glob
+ * where * matches any characters and ? matches one character
+ * @param {string} pattern - Pattern string
+ * @param {boolean} ignoreCase - Match case-insensitively (e.g. header names)
+ * @returns {RegExp} Compiled pattern
+ */
+export function compilePattern(pattern, ignoreCase = false) {
+  const flags = ignoreCase ? 'i' : '';
+  const trimmed = pattern.trim();
+
+  if (trimmed.length > 2 && trimmed.startsWith('/') && trimmed.endsWith('/')) {
+    return new RegExp(trimmed.slice(1, -1), flags);
+  }
+
+  const escaped = trimmed
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+/**
+ * Validate a name pattern
+ * @param {string} pattern - Pattern string
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePattern(pattern) {
+  if (!pattern || !pattern.trim()) {
+    return 'Pattern cannot be empty';
+  }
+  try {
+    compilePattern(pattern);
+    return null;
+  } catch (e) {
+    return `Invalid pattern ${pattern}: ${e.message}`;
+  }
+}
+
+/**
+ * Compile a list of name patterns
+ * @param {string[]} patterns - Pattern strings
+ * @param {boolean} ignoreCase - Match case-insensitively
+ * @returns {RegExp[]} Compiled patterns
+ */
+function compilePatterns(patterns = [], ignoreCase = false) {
+  return patterns.map(pattern => compilePattern(pattern, ignoreCase));
+}
+
+/**
+ * Get the compiled filters of a domain
+ * Header and significant header patterns match case-insensitively, cookie patterns case-sensitively
+ * @param {Object} domainConfig - Domain configuration (from the cached config)
+ * @returns {Object} { headerFilter: { allow, deny, redact }, cookieFilter: { include, exclude, redact,
+ *   dropExpired, dropSession }, significantHeaders }, with RegExp lists; filters are null when not configured
+ */
+export function getCompiledFilters(domainConfig) {
+  if (!domainConfig) return NO_FILTERS;
+
+  let compiled = compiledFiltersByDomain.get(domainConfig);
+  if (!compiled) {
+    const { headerFilter, cookieFilter, changeDetection } = domainConfig;
+    compiled = {
+      headerFilter: headerFilter ? {
+        allow: compilePatterns(headerFilter.allow, true),
+        deny: compilePatterns(headerFilter.deny, true),
+        redact: compilePatterns(headerFilter.redact, true)
+      } : null,
+      cookieFilter: cookieFilter ? {
+        include: compilePatterns(cookieFilter.include),
+        exclude: compilePatterns(cookieFilter.exclude),
+        redact: compilePatterns(cookieFilter.redact),
+        dropExpired: Boolean(cookieFilter.dropExpired),
+        dropSession: Boolean(cookieFilter.dropSession)
+      } : null,
+      significantHeaders: compilePatterns(changeDetection?.significantHeaders, true)
+    };
+    compiledFiltersByDomain.set(domainConfig, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Check whether a name matches any compiled pattern
+ * @param {string} name - Name to test
+ * @param {RegExp[]} patterns - Compiled patterns
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesAnyPattern(name, patterns = []) {
+  return patterns.some(pattern => pattern.test(name));
+}
+
+/**
+ * Check whether a header is kept by a domain header filter
+ * With an allowlist only matching headers are kept; the denylist always wins
+ * @param {string} name - Header name
+ * @param {Object} headerFilter - Compiled header filter { allow, deny, redact } (see getCompiledFilters)
+ * @returns {boolean} True if the header is kept
+ */
+export function isHeaderKept(name, headerFilter) {
+  if (!headerFilter) return true;
+  const { allow = [], deny = [] } = headerFilter;
+
+  if (allow.length > 0 && !matchesAnyPattern(name, allow)) return false;
+  if (deny.length > 0 && matchesAnyPattern(name, deny)) return false;
+  return true;
+}
+
+/**
+ * Keep only the headers allowed by a domain header filter (no redaction)
+ * @param {Object} headers - Headers object { name: value }
+ * @param {Object} headerFilter - Compiled header filter (see getCompiledFilters)
+ * @returns {Object} Kept headers
+ */
+export function pickKeptHeaders(headers, headerFilter) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).filter(([name]) => isHeaderKept(name, headerFilter))
+  );
+}
+
+/**
+ * Apply a domain header filter: drop headers that are not kept and hash redacted values
+ * @param {Object} headers - Headers object { name: value }
+ * @param {Object} headerFilter - Compiled header filter (see getCompiledFilters)
+ * @returns {Promise<Object>} Filtered headers
+ */
+export async function applyHeaderFilter(headers, headerFilter) {
+  const kept = pickKeptHeaders(headers, headerFilter);
+  const redact = headerFilter?.redact || [];
+  if (redact.length === 0) return kept;
+
+  for (const name of Object.keys(kept)) {
+    if (matchesAnyPattern(name, redact)) {
+      kept[name] = await hashValue(kept[name]);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Check whether a cookie is kept by a domain cookie filter
+ * With include patterns only matching names are kept; exclude patterns always win
+ * @param {Object} cookie - Cookie with name and optional expirationDate (seconds)
+ * @param {Object} cookieFilter - Compiled cookie filter (see getCompiledFilters)
+ * @param {Object} options - { checkExpiry: false to skip expiry/session checks (e.g. removals) }
+ * @returns {boolean} True if the cookie is kept
+ */
+export function isCookieKept(cookie, cookieFilter, { checkExpiry = true } = {}) {
+  if (!cookieFilter) return true;
+  const { include = [], exclude = [], dropExpired = false, dropSession = false } = cookieFilter;
+
+  if (include.length > 0 && !matchesAnyPattern(cookie.name, include)) return false;
+  if (exclude.length > 0 && matchesAnyPattern(cookie.name, exclude)) return false;
+
+  if (checkExpiry && cookie.expirationDate === undefined && dropSession) return false;
+  if (checkExpiry && cookie.expirationDate !== undefined && dropExpired && cookie.expirationDate * 1000 < Date.now()) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Apply a domain cookie filter to chrome cookie objects
+ * @param {Array<Object>} cookies - Cookies from chrome.cookies.getAll
+ * @param {Object} cookieFilter - Compiled cookie filter (see getCompiledFilters)
+ * @returns {Promise<Array<Object>>} Kept cookies, with redacted values hashed
+ */
+export async function applyCookieFilter(cookies, cookieFilter) {
+  const kept = cookies.filter(cookie => isCookieKept(cookie, cookieFilter));
+  const redact = cookieFilter?.redact || [];
+  if (redact.length === 0) return kept;
+
+  return Promise.all(kept.map(async cookie => (
+    matchesAnyPattern(cookie.name, redact)
+      ? { ...cookie, value: await hashValue(cookie.value) }
+      : cookie
+  )));
+}
+
+/**
+ * Keep only name/value cookies whose names pass a domain cookie filter (no redaction)
+ * Expiry is unknown for these cookies, so only name rules apply
+ * @param {Object} cookies - Cookies object { name: value }
+ * @param {Object} cookieFilter - Compiled cookie filter (see getCompiledFilters)
+ * @returns {Object} Kept cookies
+ */
+export function pickKeptCookies(cookies, cookieFilter) {
+  return Object.fromEntries(
+    Object.entries(cookies || {}).filter(([name]) => isCookieKept({ name }, cookieFilter, { checkExpiry: false }))
+  );
+}
+
+/**
+ * Apply a domain cookie filter to name/value cookies (API path monitoring)
+ * @param {Object} cookies - Cookies object { name: value }
+ * @param {Object} cookieFilter - Compiled cookie filter (see getCompiledFilters)
+ * @returns {Promise<Object>} Kept cookies, with redacted values hashed
+ */
+export async function applyCookieValueFilter(cookies, cookieFilter) {
+  const kept = pickKeptCookies(cookies, cookieFilter);
+  const redact = cookieFilter?.redact || [];
+  if (redact.length === 0) return kept;
+
+  for (const name of Object.keys(kept)) {
+    if (matchesAnyPattern(name, redact)) {
+      kept[name] = await hashValue(kept[name]);
+    }
+  }
+  return kept;
+}
@@ -0,0 +1,198 @@
+/**
+ * Output formats
+ * Converts formatted cookie data into the files uploaded for each domain
+ */
+
+// Available output formats (the file name is [domain].[extension], see getOutputFilename)
+export const OUTPUT_FORMATS = {
+  json: {
+    label: 'JSON',
+    extension: 'json'
+  },
+  cookiestxt: {
+    label: 'cookies.txt (Netscape)',
+    extension: 'txt'
+  },
+  storagestate: {
+    label: 'Playwright storageState',
+    extension: 'storageState.json'
+  }
+};
+
+// chrome.cookies sameSite values -> Playwright sameSite values
+// 'unspecified' is treated as Lax, which is what Chrome enforces by default
+const PLAYWRIGHT_SAME_SITE = {
+  no_restriction: 'None',
+  lax: 'Lax',
+  strict: 'Strict',
+  unspecified: 'Lax'
+};
+
+export const DEFAULT_OUTPUT_FORMATS = ['json'];
+
+/**
+ * Get the file name for a domain in an output format
+ * An encrypted file holds a JSON envelope, not the format itself, so formats other than JSON get
+ * an ".enc" suffix when encrypted; tools reading cookies.txt or storageState never receive an envelope
+ * @param {string} domain - Domain name
+ * @param {string} format - Output format key
+ * @param {boolean} encrypted - Whether the file is encrypted
+ * @returns {string} File name, e.g. binance.com.txt (binance.com.txt.enc when encrypted)
+ */
+export function getOutputFilename(domain, format, encrypted = false) {
+  const filename = `${domain}.${OUTPUT_FORMATS[format].extension}`;
+  return encrypted && format !== 'json' ? `${filename}.enc` : filename;
+}
+
+/**
+ * Get the output formats configured for a domain
+ * @param {Object} domainConfig - Domain configuration
+ * @returns {Array<string>} Known format keys (defaults to JSON)
+ */
+export function getDomainOutputFormats(domainConfig) {
+  const formats = (domainConfig?.outputFormats || []).filter(format => OUTPUT_FORMATS[format]);
+  return formats.length > 0 ? formats : DEFAULT_OUTPUT_FORMATS;
+}
+
+/**
+ * Validate an output format selection
+ * @param {Array<string>} formats - Format keys
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateOutputFormats(formats) {
+  if (!Array.isArray(formats) || formats.length === 0) {
+    return 'Select at least one output format';
+  }
+  const unknown = formats.find(format => !OUTPUT_FORMATS[format]);
+  if (unknown) {
+    return `Unknown output format: ${unknown}`;
+  }
+  return null;
+}
+
+/**
+ * Combine the cookies captured per API path into one object
+ * When paths disagree, the most recently seen path wins
+ * @param {Object} paths - { [ruleKey]: { cookies, headers, lastSeen } }
+ * @returns {Object} Cookies object { name: value }
+ */
+export function mergePathCookies(paths) {
+  return Object.values(paths || {})
+    .sort((a, b) => (a.lastSeen || 0) - (b.lastSeen || 0))
+    .reduce((cookies, entry) => ({ ...cookies, ...entry.cookies }), {});
+}
+
+/**
+ * Get full cookie objects from formatted cookie data
+ * API path monitoring data only has names and values, so those cookies are
+ * returned as session cookies for the whole domain. Per-path data is combined first.
+ * @param {Object} cookieData - Formatted cookie data
+ * @param {string} domain - Configured domain
+ * @returns {Array<Object>} Cookie objects
+ */
+function getCookieList(cookieData, domain) {
+  if (Array.isArray(cookieData.cookies)) {
+    return cookieData.cookies;
+  }
+
+  const cookies = cookieData.paths ? mergePathCookies(cookieData.paths) : cookieData.cookies;
+  return Object.entries(cookies || {}).map(([name, value]) => ({
+    name,
+    value,
+    domain: `.${domain.replace(/^\./, '')}`,
+    path: '/',
+    secure: false,
+    httpOnly: false
+  }));
+}
+
+/**
+ * Format cookie data as a Netscape cookies.txt file (curl, wget, yt-dlp)
+ * Full cookie objects keep their domain, path, secure, expiry and HttpOnly flags.
+ * API path monitoring data only has names and values, so those cookies are
+ * written for the whole domain as session cookies.
+ * @param {Object} cookieData - Formatted cookie data
+ * @param {string} domain - Configured domain
+ * @returns {string} cookies.txt contents
+ */
+export function formatCookiesTxt(cookieData, domain) {
+  const cookies = getCookieList(cookieData, domain);
+
+  const lines = [
+    '# Netscape HTTP Cookie File',
+    '# https://curl.se/docs/http-cookies.html',
+    '# This file was generated by Cookie Sync. Edit at your own risk.',
+    ''
+  ];
+
+  cookies.forEach(cookie => {
+    const cookieDomain = cookie.domain || domain;
+    const includeSubdomains = cookieDomain.startsWith('.') ? 'TRUE' : 'FALSE';
+    const expires = cookie.expirationDate ? Math.floor(cookie.expirationDate) : 0; // 0 = session cookie
+
+    lines.push([
+      cookie.httpOnly ? `#HttpOnly_${cookieDomain}` : cookieDomain,
+      includeSubdomains,
+      cookie.path || '/',
+      cookie.secure ? 'TRUE' : 'FALSE',
+      expires,
+      cookie.name,
+      cookie.value
+    ].join('\t'));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format cookie data as a Playwright storageState object
+ * The result can be passed straight to browser.newContext({ storageState })
+ * Captured localStorage (cookieData.storage) becomes the origins list
+ * @param {Object} cookieData - Formatted cookie data
+ * @param {string} domain - Configured domain
+ * @returns {Object} { cookies, origins }
+ */
+export function formatStorageState(cookieData, domain) {
+  const cookies = getCookieList(cookieData, domain).map(cookie => ({
+    name: cookie.name,
+    value: cookie.value,
+    domain: cookie.domain || domain,
+    path: cookie.path || '/',
+    expires: cookie.expirationDate ? cookie.expirationDate : -1, // -1 = session cookie
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    sameSite: PLAYWRIGHT_SAME_SITE[cookie.sameSite] || 'Lax'
+  }));
+
+  // Playwright restores localStorage per origin (sessionStorage is not supported)
+  const origins = Object.entries(cookieData.storage || {})
+    .filter(([, areas]) => areas.localStorage)
+    .map(([origin, areas]) => ({
+      origin,
+      localStorage: Object.entries(areas.localStorage).map(([name, value]) => ({ name, value }))
+    }));
+
+  return {
+    cookies,
+    origins
+  };
+}
+
+/**
+ * Render cookie data in an output format
+ * @param {Object} cookieData - Formatted cookie data
+ * @param {string} domain - Configured domain
+ * @param {string} format - Output format key
+ * @returns {Object|string} JSON payload object, or file text for text formats
+ */
+export function renderOutput(cookieData, domain, format) {
+  switch (format) {
+    case 'cookiestxt':
+      return formatCookiesTxt(cookieData, domain);
+    case 'storagestate':
+      return formatStorageState(cookieData, domain);
+    case 'json':
+    default:
+      return cookieData;
+  }
+}
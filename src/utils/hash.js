@@ -0,0 +1,15 @@
+/**
+ * Hashing
+ * SHA-256 digests (WebCrypto) for redacted values, upload content and configuration
+ */
+
+/**
+ * Hash a value with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} "sha256:<hex>"
+ */
+export async function hashValue(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(value)));
+  const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
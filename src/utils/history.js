@@ -0,0 +1,108 @@
+/**
+ * Snapshot history helpers
+ * Object naming and retention rules for versioned snapshots
+ */
+
+export const HISTORY_PREFIX = 'history';
+const LATEST_NAME = 'latest.json';
+const DAY_MS = 86400000;
+
+/**
+ * Get the folder holding snapshots for a domain
+ * @param {string} domain - Domain name
+ * @returns {string} Folder path (no trailing slash)
+ */
+export function getHistoryFolder(domain) {
+  return `${HISTORY_PREFIX}/${domain}`;
+}
+
+/**
+ * Get the object key for a new snapshot
+ * @param {string} domain - Domain name
+ * @param {number} timestamp - Snapshot time in ms
+ * @returns {string} Snapshot key, e.g. history/binance.com/2024-01-01T00:00:00.000Z.json
+ */
+export function getSnapshotKey(domain, timestamp = Date.now()) {
+  return `${getHistoryFolder(domain)}/${new Date(timestamp).toISOString()}.json`;
+}
+
+/**
+ * Get the object key of the latest pointer for a domain
+ * @param {string} domain - Domain name
+ * @returns {string} Pointer key
+ */
+export function getLatestPointerKey(domain) {
+  return `${getHistoryFolder(domain)}/${LATEST_NAME}`;
+}
+
+/**
+ * Build the latest pointer contents
+ * @param {string} key - Snapshot key the pointer refers to
+ * @param {number} timestamp - Snapshot time in ms
+ * @returns {Object} Pointer object
+ */
+export function createLatestPointer(key, timestamp) {
+  return { key, timestamp };
+}
+
+/**
+ * Parse snapshot keys into snapshot descriptors, newest first
+ * Keys that are not snapshots (such as the latest pointer) are ignored
+ * @param {Array<string>} keys - Object keys under the domain history folder
+ * @returns {Array<{key: string, timestamp: number}>} Snapshots sorted newest first
+ */
+export function parseSnapshotKeys(keys) {
+  return keys
+    .map(key => {
+      const name = key.split('/').pop();
+      if (name === LATEST_NAME || !name.endsWith('.json')) return null;
+      const timestamp = Date.parse(name.slice(0, -'.json'.length));
+      return Number.isNaN(timestamp) ? null : { key, timestamp };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Select snapshots that fall outside the retention policy
+ * @param {Array<{key: string, timestamp: number}>} snapshots - Snapshots sorted newest first
+ * @param {Object} history - History configuration { keepLast, keepDays } (0 means no limit)
+ * @param {number} now - Current time in ms
+ * @returns {Array<string>} Keys to delete
+ */
+export function selectSnapshotsToPrune(snapshots, history, now = Date.now()) {
+  const keepLast = Number(history?.keepLast) || 0;
+  const keepDays = Number(history?.keepDays) || 0;
+  const cutoff = keepDays > 0 ? now - keepDays * DAY_MS : null;
+
+  return snapshots
+    .filter((snapshot, index) => {
+      // Never prune the newest snapshot
+      if (index === 0) return false;
+      if (keepLast > 0 && index >= keepLast) return true;
+      if (cutoff !== null && snapshot.timestamp < cutoff) return true;
+      return false;
+    })
+    .map(snapshot => snapshot.key);
+}
+
+/**
+ * Validate history settings
+ * @param {Object} history - History configuration
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateHistoryConfig(history) {
+  if (!history || !history.enabled) return null;
+
+  const keepLast = Number(history.keepLast);
+  const keepDays = Number(history.keepDays);
+
+  if (!Number.isInteger(keepLast) || keepLast < 0) {
+    return 'Snapshots to keep must be a whole number (0 for no limit)';
+  }
+  if (!Number.isInteger(keepDays) || keepDays < 0) {
+    return 'Days to keep must be a whole number (0 for no limit)';
+  }
+
+  return null;
+}
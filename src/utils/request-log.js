@@ -0,0 +1,74 @@
+/**
+ * Request Log Module
+ * Keeps the most recent requests to configured domains in a bounded ring buffer
+ * for the request inspector in the options page
+ */
+
+// Port name used by the request inspector
+export const INSPECTOR_PORT_NAME = 'request-inspector';
+
+// Maximum number of requests kept
+const MAX_ENTRIES = 200;
+
+// Ring buffer (in memory only, so it is empty again after the service worker restarts)
+const buffer = new Array(MAX_ENTRIES);
+let start = 0;
+let size = 0;
+let nextId = 1;
+
+// Listeners notified of every new entry (connected inspectors)
+const listeners = new Set();
+
+/**
+ * Record a request
+ * Only names are kept (header names, query parameter names), never values
+ * @param {Object} entry - { method, host, path, queryNames, headerNames, type, domain, matchedRule }
+ */
+export function recordRequest(entry) {
+  const item = { id: nextId++, timestamp: Date.now(), ...entry };
+
+  buffer[(start + size) % MAX_ENTRIES] = item;
+  if (size < MAX_ENTRIES) {
+    size++;
+  } else {
+    start = (start + 1) % MAX_ENTRIES;
+  }
+
+  listeners.forEach(listener => listener(item));
+}
+
+/**
+ * Get the recorded requests, oldest first
+ * @returns {Array<Object>} Entries
+ */
+export function getRecentRequests() {
+  return Array.from({ length: size }, (_, index) => buffer[(start + index) % MAX_ENTRIES]);
+}
+
+/**
+ * Clear the recorded requests
+ */
+export function clearRecentRequests() {
+  buffer.fill(undefined);
+  start = 0;
+  size = 0;
+}
+
+/**
+ * Serve the request inspector over a runtime port
+ * Sends the current entries, then every new entry until the inspector disconnects
+ * @param {chrome.runtime.Port} port - Port opened by the options page
+ */
+export function handleInspectorPort(port) {
+  const listener = entry => port.postMessage({ type: 'request', request: entry });
+  listeners.add(listener);
+
+  port.onMessage.addListener(message => {
+    if (message.action === 'clear') {
+      clearRecentRequests();
+    }
+  });
+  port.onDisconnect.addListener(() => listeners.delete(listener));
+
+  port.postMessage({ type: 'snapshot', requests: getRecentRequests() });
+}
@@ -0,0 +1,191 @@
+/**
+ * Retry Queue Module
+ * Durable outbox for failed (domain, service) uploads in chrome.storage.local
+ * Retries are driven by chrome.alarms so they survive service worker restarts
+ */
+
+import { getFormattedCookiesByDomain } from './cookies.js';
+import { uploadToEnabledServices } from './storage.js';
+import { updateStoredValue } from './exclusive.js';
+
+// Storage key for the outbox
+const QUEUE_STORAGE_KEY = 'retryQueue';
+
+// Alarm name for the retry worker
+export const RETRY_ALARM_NAME = 'retryQueue';
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 60000; // 1 minute
+const MAX_DELAY_MS = 3600000; // 1 hour
+const MIN_ALARM_DELAY_MS = 30000; // chrome.alarms does not fire sooner than 30 seconds
+
+/**
+ * Run a queue mutation exclusively
+ * @param {Function} fn - Async function receiving the queue and returning the new queue
+ * @returns {Promise<Array>} Updated queue
+ */
+function withQueue(fn) {
+  return updateStoredValue(QUEUE_STORAGE_KEY, (queue = []) => fn(queue));
+}
+
+/**
+ * Calculate the delay before the next attempt (exponential backoff with jitter)
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempts) {
+  const exponential = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+  // Full jitter between 50% and 100% of the exponential delay
+  return Math.round(exponential * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Schedule the retry alarm for the earliest due entry, or clear it if the queue is empty
+ * @param {Array} queue - Current queue (read from storage if not provided)
+ * @returns {Promise<void>}
+ */
+export async function scheduleRetryAlarm(queue = null) {
+  try {
+    if (!queue) {
+      const result = await chrome.storage.local.get([QUEUE_STORAGE_KEY]);
+      queue = result[QUEUE_STORAGE_KEY] || [];
+    }
+
+    if (queue.length === 0) {
+      await chrome.alarms.clear(RETRY_ALARM_NAME);
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...queue.map(entry => entry.nextAttemptAt));
+    const when = Math.max(nextAttemptAt, Date.now() + MIN_ALARM_DELAY_MS);
+    await chrome.alarms.create(RETRY_ALARM_NAME, { when });
+  } catch (error) {
+    console.error('Error scheduling retry alarm:', error);
+  }
+}
+
+/**
+ * Record upload results: queue failures and drop pairs that succeeded
+ * Existing entries keep their attempt count and backoff schedule
+ * @param {Array} results - Upload results with { success, service, domain, error }
+ * @returns {Promise<void>}
+ */
+export async function recordUploadResults(results) {
+  const queue = await withQueue(current => {
+    const byKey = new Map(current.map(entry => [`${entry.domain}|${entry.service}`, entry]));
+    const now = Date.now();
+
+    results.forEach(result => {
+      if (!result.domain || !result.service) return;
+      const key = `${result.domain}|${result.service}`;
+
+      if (result.success) {
+        byKey.delete(key);
+        return;
+      }
+
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          domain: result.domain,
+          service: result.service,
+          attempts: 0,
+          createdAt: now,
+          nextAttemptAt: now + getBackoffDelay(1),
+          lastError: result.error || 'Unknown error'
+        });
+      } else {
+        byKey.get(key).lastError = result.error || 'Unknown error';
+      }
+    });
+
+    return Array.from(byKey.values());
+  });
+
+  await scheduleRetryAlarm(queue);
+}
+
+/**
+ * Retry all due entries in the queue
+ * Fresh cookie data is read at retry time, so the outbox never stores cookie values
+ * @returns {Promise<Object>} { retried, succeeded, dropped, remaining }
+ */
+export async function processRetryQueue() {
+  const stats = { retried: 0, succeeded: 0, dropped: 0, remaining: 0 };
+
+  const result = await chrome.storage.local.get([QUEUE_STORAGE_KEY]);
+  const due = (result[QUEUE_STORAGE_KEY] || []).filter(entry => entry.nextAttemptAt <= Date.now());
+
+  if (due.length > 0) {
+    const domainCookies = await getFormattedCookiesByDomain();
+    const cookieDataByDomain = new Map(domainCookies.map(item => [item.domain, item.cookieData]));
+    const outcomes = new Map();
+
+    for (const entry of due) {
+      const key = `${entry.domain}|${entry.service}`;
+      const cookieData = cookieDataByDomain.get(entry.domain);
+
+      if (!cookieData) {
+        outcomes.set(key, { success: false, error: 'No cookie data available for domain' });
+        continue;
+      }
+
+      const [uploadResult] = await uploadToEnabledServices(cookieData, entry.domain, [entry.service]);
+      outcomes.set(key, uploadResult || { success: false, error: 'Service is no longer enabled', drop: true });
+      stats.retried++;
+    }
+
+    await withQueue(current => {
+      const now = Date.now();
+      return current.filter(entry => {
+        const outcome = outcomes.get(`${entry.domain}|${entry.service}`);
+        if (!outcome) return true;
+
+        if (outcome.success) {
+          stats.succeeded++;
+          return false;
+        }
+
+        entry.attempts++;
+        entry.lastError = outcome.error || 'Unknown error';
+
+        if (outcome.drop || entry.attempts >= MAX_ATTEMPTS) {
+          console.warn(`Retry queue: giving up on ${entry.domain} -> ${entry.service} after ${entry.attempts} attempts:`, entry.lastError);
+          stats.dropped++;
+          return false;
+        }
+
+        entry.nextAttemptAt = now + getBackoffDelay(entry.attempts + 1);
+        return true;
+      });
+    });
+  }
+
+  const updated = await getRetryQueue();
+  stats.remaining = updated.length;
+  await scheduleRetryAlarm(updated);
+
+  return stats;
+}
+
+/**
+ * Get the current retry queue
+ * @returns {Promise<Array>} Queue entries
+ */
+export async function getRetryQueue() {
+  try {
+    const result = await chrome.storage.local.get([QUEUE_STORAGE_KEY]);
+    return result[QUEUE_STORAGE_KEY] || [];
+  } catch (error) {
+    console.error('Error reading retry queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Clear the retry queue
+ * @returns {Promise<void>}
+ */
+export async function clearRetryQueue() {
+  await withQueue(() => []);
+  await scheduleRetryAlarm([]);
+}
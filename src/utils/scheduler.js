@@ -0,0 +1,169 @@
+/**
+ * Sync Scheduler Module
+ * Periodic per-domain sync schedules and debounced syncs backed by chrome.alarms,
+ * so pending syncs still fire after the MV3 service worker is evicted
+ */
+
+// Alarm names
+export const SCHEDULE_ALARM_PREFIX = 'scheduledSync:';
+export const DEBOUNCE_ALARM_NAME = 'debouncedSync';
+
+const DAY_MINUTES = 1440;
+const MIN_ALARM_DELAY_MS = 30000; // chrome.alarms does not fire sooner than 30 seconds
+
+// In-memory fast path for debounced syncs (lost if the worker is evicted)
+let debounceTimer = null;
+
+/**
+ * Validate a domain schedule
+ * @param {Object} schedule - { mode: 'off'|'interval'|'daily', intervalMinutes, dailyTime }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateSchedule(schedule) {
+  if (!schedule || schedule.mode === 'off') return null;
+
+  if (schedule.mode === 'interval') {
+    const minutes = Number(schedule.intervalMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      return 'Sync interval must be a whole number of minutes (at least 1)';
+    }
+    return null;
+  }
+
+  if (schedule.mode === 'daily') {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.dailyTime || '')) {
+      return 'Daily sync time must be in HH:MM format';
+    }
+    return null;
+  }
+
+  return `Unknown schedule mode: ${schedule.mode}`;
+}
+
+/**
+ * Get the next occurrence of a local HH:MM time
+ * @param {string} dailyTime - Time in HH:MM (local time)
+ * @param {number} now - Current time in ms
+ * @returns {number} Timestamp in ms
+ */
+export function getNextDailyTime(dailyTime, now = Date.now()) {
+  const [hours, minutes] = dailyTime.split(':').map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next.getTime() <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Get the domain a schedule alarm belongs to
+ * @param {string} alarmName - Alarm name
+ * @returns {string|null} Domain or null if not a schedule alarm
+ */
+export function getScheduledDomain(alarmName) {
+  return alarmName.startsWith(SCHEDULE_ALARM_PREFIX)
+    ? alarmName.slice(SCHEDULE_ALARM_PREFIX.length)
+    : null;
+}
+
+/**
+ * Create, keep or clear per-domain schedule alarms to match the configuration
+ * Alarms are only kept while auto-sync is enabled
+ * @param {Object} config - Extension configuration
+ * @returns {Promise<void>}
+ */
+export async function updateScheduleAlarms(config) {
+  try {
+    const alarms = await chrome.alarms.getAll();
+    const existing = new Map(
+      alarms.filter(alarm => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)).map(alarm => [alarm.name, alarm])
+    );
+    const wanted = new Set();
+
+    if (config.autoSync) {
+      for (const domainConfig of config.targetDomains || []) {
+        const schedule = domainConfig.schedule;
+        if (!schedule || schedule.mode === 'off' || validateSchedule(schedule)) continue;
+
+        const name = `${SCHEDULE_ALARM_PREFIX}${domainConfig.domain}`;
+        const alarm = existing.get(name);
+        wanted.add(name);
+
+        if (schedule.mode === 'interval') {
+          const period = Number(schedule.intervalMinutes);
+          if (alarm && alarm.periodInMinutes === period) continue;
+          await chrome.alarms.create(name, { delayInMinutes: period, periodInMinutes: period });
+        } else {
+          const when = getNextDailyTime(schedule.dailyTime);
+          // Keep the alarm unless the time changed (or DST moved the next occurrence)
+          if (alarm && alarm.periodInMinutes === DAY_MINUTES && Math.abs(alarm.scheduledTime - when) < 60000) continue;
+          await chrome.alarms.create(name, { when, periodInMinutes: DAY_MINUTES });
+        }
+      }
+    }
+
+    for (const name of existing.keys()) {
+      if (!wanted.has(name)) {
+        await chrome.alarms.clear(name);
+      }
+    }
+  } catch (error) {
+    console.error('Error updating schedule alarms:', error);
+  }
+}
+
+/**
+ * Get the time of the next scheduled sync
+ * @returns {Promise<Object|null>} { domain, scheduledTime } or null if nothing is scheduled
+ */
+export async function getNextScheduledSync() {
+  try {
+    const alarms = (await chrome.alarms.getAll()).filter(alarm => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX));
+    if (alarms.length === 0) return null;
+
+    const next = alarms.reduce((earliest, alarm) =>
+      alarm.scheduledTime < earliest.scheduledTime ? alarm : earliest
+    );
+    return { domain: getScheduledDomain(next.name), scheduledTime: next.scheduledTime };
+  } catch (error) {
+    console.error('Error reading schedule alarms:', error);
+    return null;
+  }
+}
+
+/**
+ * Cancel a pending debounced sync (e.g. when a sync is started right away)
+ */
+export function cancelDebouncedSync() {
+  if (debounceTimer) {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+  }
+  chrome.alarms.clear(DEBOUNCE_ALARM_NAME).catch(() => {});
+}
+
+/**
+ * Schedule a debounced sync
+ * A timer gives the exact delay while the worker is alive; a backup alarm makes
+ * sure the sync still happens if the worker is evicted before the timer fires
+ * @param {number} delayMs - Debounce delay in ms
+ * @param {Function} callback - Sync function to run when the timer fires
+ */
+export function scheduleDebouncedSync(delayMs, callback) {
+  if (debounceTimer) {
+    clearTimeout(debounceTimer);
+  }
+
+  chrome.alarms.create(DEBOUNCE_ALARM_NAME, {
+    when: Date.now() + Math.max(delayMs, MIN_ALARM_DELAY_MS)
+  }).catch(error => {
+    console.error('Error creating debounce alarm:', error);
+  });
+
+  debounceTimer = setTimeout(async () => {
+    debounceTimer = null;
+    await chrome.alarms.clear(DEBOUNCE_ALARM_NAME).catch(() => {});
+    callback();
+  }, delayMs);
+}
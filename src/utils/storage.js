@@ -1,61 +1,199 @@
 /**
  * Storage service integrations
- * Handles uploading cookies to Firebase Storage, Supabase Storage, and AWS S3
+ * Handles uploading cookies to Firebase Storage, Supabase Storage, AWS S3 and webhooks
  */
 
-import { initializeApp } from 'firebase/app';
-import { getStorage, ref, uploadString } from 'firebase/storage';
 import { createClient } from '@supabase/supabase-js';
-import { S3Client, PutObjectCommand, HeadBucketCommand } from '@aws-sdk/client-s3';
-import { getConfig } from './config.js';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
+} from '@aws-sdk/client-s3';
+import { getConfig, parseHeaderLines, validateWebhookUrl, validateSignerUrl } from './config.js';
+import { parseServiceAccount, getAccessToken, clearAccessTokenCache } from './google-auth.js';
+import { encryptPayload, decryptPayload, isEncryptedEnvelope } from './encryption.js';
+import {
+  getHistoryFolder,
+  getSnapshotKey,
+  getLatestPointerKey,
+  createLatestPointer,
+  parseSnapshotKeys,
+  selectSnapshotsToPrune
+} from './history.js';
+import { getDomainOutputFormats, getOutputFilename, renderOutput } from './formats.js';
+import { computeUploadHash, getUploadHashes, recordUploadHash, clearUploadHash } from './upload-hashes.js';
+import { createLimiter } from './concurrency.js';
+import { withServiceClient } from './client-registry.js';
+
+const GCS_API_BASE = 'https://storage.googleapis.com/storage/v1';
+const GCS_UPLOAD_BASE = 'https://storage.googleapis.com/upload/storage/v1';
+
+// Longest a single Supabase request may take before it is aborted
+const SUPABASE_REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Serialize an upload payload
+ * Objects are uploaded as JSON; strings (text output formats) are uploaded as-is
+ * @param {Object|string} payload - Payload to upload
+ * @returns {Object} { body, contentType }
+ */
+function serializePayload(payload) {
+  if (typeof payload === 'string') {
+    return { body: payload, contentType: 'text/plain' };
+  }
+  return { body: JSON.stringify(payload, null, 2), contentType: 'application/json' };
+}
+
+/**
+ * Normalize a Firebase bucket name (strip gs:// prefix and trailing slash)
+ * @param {string} bucket - Bucket name as configured
+ * @returns {string} Bare bucket name
+ */
+function normalizeFirebaseBucket(bucket) {
+  return bucket.trim().replace(/^gs:\/\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Perform an authenticated request against the Cloud Storage JSON API
+ * @param {Object} config - Firebase configuration
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Successful response
+ */
+async function firebaseRequest(config, url, options = {}) {
+  const response = await withFirebaseServiceAccount(config, async serviceAccount => fetch(url, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      Authorization: `Bearer ${await getAccessToken(serviceAccount)}`
+    }
+  }));
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error?.message || `Cloud Storage request failed with status ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Run a function with the parsed service account of the Firebase configuration (parsed once per configuration)
+ * Its cached access tokens are dropped when the configuration changes
+ * @param {Object} config - Firebase configuration
+ * @param {Function} fn - Async function receiving the parsed service account
+ * @returns {Promise<*>} Value returned by fn
+ */
+function withFirebaseServiceAccount(config, fn) {
+  return withServiceClient('firebase', config, {
+    create: firebaseConfig => parseServiceAccount(firebaseConfig.serviceAccountKey),
+    dispose: serviceAccount => clearAccessTokenCache(serviceAccount.client_email)
+  }, fn);
+}
+
+/**
+ * fetch for the Supabase client: every request is aborted after SUPABASE_REQUEST_TIMEOUT_MS
+ * supabase-js uploads and deletes take no AbortSignal, so this bounds how long they can run
+ * @param {RequestInfo} input - Request URL or Request
+ * @param {Object} init - fetch options (a signal passed by supabase-js is kept)
+ * @returns {Promise<Response>} Response
+ */
+function fetchWithRequestTimeout(input, init = {}) {
+  const timeout = AbortSignal.timeout(SUPABASE_REQUEST_TIMEOUT_MS);
+  return fetch(input, {
+    ...init,
+    signal: init.signal ? AbortSignal.any([init.signal, timeout]) : timeout
+  });
+}
+
+/**
+ * Run a function with the Supabase client for the Supabase configuration (created once per configuration)
+ * @param {Object} config - Supabase configuration
+ * @param {Function} fn - Async function receiving the Supabase client
+ * @returns {Promise<*>} Value returned by fn
+ */
+function withSupabaseClient(config, fn) {
+  return withServiceClient('supabase', config, {
+    create: supabaseConfig => createClient(supabaseConfig.url, supabaseConfig.apiKey, {
+      global: { fetch: fetchWithRequestTimeout }
+    }),
+    dispose: supabase => supabase.removeAllChannels()
+  }, fn);
+}
+
+/**
+ * Run a function with the S3 client for the AWS configuration (created once per configuration)
+ * @param {Object} config - AWS configuration
+ * @param {Function} fn - Async function receiving the S3 client
+ * @returns {Promise<*>} Value returned by fn
+ */
+function withS3Client(config, fn) {
+  return withServiceClient('aws', config, {
+    create: createS3Client,
+    dispose: s3Client => s3Client.destroy()
+  }, fn);
+}
+
+/**
+ * Create an S3 client from the AWS configuration
+ * Supports S3-compatible providers through a custom endpoint
+ * @param {Object} config - AWS configuration
+ * @returns {S3Client} S3 client
+ */
+function createS3Client(config) {
+  const clientConfig = {
+    region: config.region,
+    credentials: {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey
+    }
+  };
+
+  if (config.sessionToken) {
+    clientConfig.credentials.sessionToken = config.sessionToken;
+  }
+
+  if (config.endpoint) {
+    clientConfig.endpoint = config.endpoint.trim().replace(/\/$/, '');
+  }
+
+  if (config.forcePathStyle) {
+    clientConfig.forcePathStyle = true;
+  }
+
+  return new S3Client(clientConfig);
+}
 
 /**
  * Upload cookies to Firebase Storage
- * Uses Firebase Storage REST API with service account authentication
- * @param {Object} cookieData - Formatted cookie data
+ * Uses the Cloud Storage JSON API with service account authentication
+ * @param {Object|string} cookieData - Formatted cookie data, or file text for text output formats
  * @param {Object} config - Firebase configuration
  * @param {string} domain - Domain name for filename
+ * @param {string} filename - Object name (defaults to [domain].json)
+ * @param {Object} options - { signal: AbortSignal cancelling the request }
  * @returns {Promise<Object>} Upload result
  */
-export async function uploadToFirebase(cookieData, config, domain) {
+export async function uploadToFirebase(cookieData, config, domain, filename = `${domain}.json`, { signal } = {}) {
   try {
     if (!config.projectId || !config.bucket || !config.serviceAccountKey) {
       throw new Error('Firebase configuration is incomplete');
     }
 
-    // Parse service account key
-    let serviceAccount;
-    try {
-      serviceAccount = typeof config.serviceAccountKey === 'string' 
-        ? JSON.parse(config.serviceAccountKey) 
-        : config.serviceAccountKey;
-    } catch (e) {
-      throw new Error('Invalid Firebase service account key format');
-    }
-
-    // Note: Firebase Storage REST API requires OAuth2 token from service account
-    // For browser extensions, we'll use a simplified approach:
-    // Option 1: Use Firebase web SDK with anonymous/auth (requires Firebase config)
-    // Option 2: Use REST API with signed URLs (requires backend)
-    // Option 3: Use Firebase Storage with public write rules (not recommended for production)
-    
-    // For now, we'll use the web SDK approach with the project config
-    // Users should configure Firebase Storage rules to allow writes
-    const firebaseConfig = {
-      projectId: config.projectId,
-      storageBucket: config.bucket
-    };
-
-    const app = initializeApp(firebaseConfig);
-    const storage = getStorage(app);
+    const bucket = normalizeFirebaseBucket(config.bucket);
 
-    // Create filename using domain name
-    const filename = `${domain}.json`;
-    const storageRef = ref(storage, filename);
+    const { body, contentType } = serializePayload(cookieData);
 
-    // Upload as JSON string
-    const jsonData = JSON.stringify(cookieData, null, 2);
-    await uploadString(storageRef, jsonData, 'raw');
+    const url = `${GCS_UPLOAD_BASE}/b/${encodeURIComponent(bucket)}/o?uploadType=media&name=${encodeURIComponent(filename)}`;
+    await firebaseRequest(config, url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+      signal
+    });
 
     return {
       success: true,
@@ -68,39 +206,38 @@ export async function uploadToFirebase(cookieData, config, domain) {
     return {
       success: false,
       service: 'firebase',
-      error: error.message || 'Unknown error. Note: Firebase Storage requires proper authentication setup. See README for details.'
+      error: error.message || 'Unknown error'
     };
   }
 }
 
 /**
  * Upload cookies to Supabase Storage
- * @param {Object} cookieData - Formatted cookie data
+ * @param {Object|string} cookieData - Formatted cookie data, or file text for text output formats
  * @param {Object} config - Supabase configuration
  * @param {string} domain - Domain name for filename
+ * @param {string} filename - Object name (defaults to [domain].json)
+ * @param {Object} options - { signal: AbortSignal; supabase-js uploads take no signal, so it is only checked before
+ *   starting (each request is bounded by SUPABASE_REQUEST_TIMEOUT_MS instead) }
  * @returns {Promise<Object>} Upload result
  */
-export async function uploadToSupabase(cookieData, config, domain) {
+export async function uploadToSupabase(cookieData, config, domain, filename = `${domain}.json`, { signal } = {}) {
   try {
     if (!config.url || !config.apiKey || !config.bucket) {
       throw new Error('Supabase configuration is incomplete');
     }
+    signal?.throwIfAborted();
 
-    // Initialize Supabase client
-    const supabase = createClient(config.url, config.apiKey);
-
-    // Create filename using domain name
-    const filename = `${domain}.json`;
-    const jsonData = JSON.stringify(cookieData, null, 2);
-    const blob = new Blob([jsonData], { type: 'application/json' });
+    const { body, contentType } = serializePayload(cookieData);
+    const blob = new Blob([body], { type: contentType });
 
     // Upload file (use upsert: true to overwrite existing file for same domain)
-    const { data, error } = await supabase.storage
+    const { data, error } = await withSupabaseClient(config, supabase => supabase.storage
       .from(config.bucket)
       .upload(filename, blob, {
-        contentType: 'application/json',
+        contentType,
         upsert: true
-      });
+      }));
 
     if (error) {
       throw error;
@@ -123,41 +260,123 @@ export async function uploadToSupabase(cookieData, config, domain) {
   }
 }
 
+/**
+ * Check whether the AWS configuration uses pre-signed URLs from a signer endpoint
+ * @param {Object} config - AWS configuration
+ * @returns {boolean} True in pre-signed URL mode
+ */
+function isPresignedMode(config) {
+  return config.authMode === 'presigned';
+}
+
+/**
+ * Ask the signer endpoint for a short-lived pre-signed PUT URL
+ * The signer receives { domain, filename, contentType } and must respond with
+ * { url, headers? }, where headers are any extra headers the PUT must carry
+ * @param {Object} config - AWS configuration
+ * @param {string} domain - Domain name
+ * @param {string} filename - Object key to sign
+ * @param {string} contentType - Content type of the upload
+ * @param {AbortSignal} signal - Optional signal cancelling the request
+ * @returns {Promise<Object>} { url, headers }
+ */
+async function requestPresignedUrl(config, domain, filename, contentType, signal) {
+  if (!validateSignerUrl(config.signerUrl)) {
+    throw new Error('Signer URL must use HTTPS (HTTP is only allowed for localhost)');
+  }
+
+  const response = await fetch(config.signerUrl, {
+    method: 'POST',
+    headers: {
+      ...parseHeaderLines(config.signerHeaders),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ domain, filename, contentType }),
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Signer responded with status ${response.status}`);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!body || typeof body.url !== 'string') {
+    throw new Error('Signer response must be JSON with a "url" field');
+  }
+
+  return { url: body.url, headers: body.headers || {} };
+}
+
+/**
+ * Upload a body to S3 through a pre-signed PUT URL
+ * @param {Object} config - AWS configuration
+ * @param {string} domain - Domain name
+ * @param {string} filename - Object key
+ * @param {string} body - File body
+ * @param {string} contentType - Content type of the body
+ * @param {AbortSignal} signal - Optional signal cancelling the requests
+ * @returns {Promise<void>}
+ */
+async function uploadWithPresignedUrl(config, domain, filename, body, contentType, signal) {
+  const { url, headers } = await requestPresignedUrl(config, domain, filename, contentType, signal);
+
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': contentType,
+      ...headers
+    },
+    body,
+    signal
+  });
+
+  if (!response.ok) {
+    throw new Error(`Pre-signed upload failed with status ${response.status}`);
+  }
+}
+
 /**
  * Upload cookies to AWS S3
- * @param {Object} cookieData - Formatted cookie data
+ * @param {Object|string} cookieData - Formatted cookie data, or file text for text output formats
  * @param {Object} config - AWS configuration
  * @param {string} domain - Domain name for filename
+ * @param {string} filename - Object name (defaults to [domain].json)
+ * @param {Object} options - { signal: AbortSignal cancelling the request }
  * @returns {Promise<Object>} Upload result
  */
-export async function uploadToAWS(cookieData, config, domain) {
+export async function uploadToAWS(cookieData, config, domain, filename = `${domain}.json`, { signal } = {}) {
   try {
-    if (!config.accessKeyId || !config.secretAccessKey || !config.bucket || !config.region) {
-      throw new Error('AWS configuration is incomplete');
-    }
+    const { body, contentType } = serializePayload(cookieData);
 
-    // Initialize S3 client
-    const s3Client = new S3Client({
-      region: config.region,
-      credentials: {
-        accessKeyId: config.accessKeyId,
-        secretAccessKey: config.secretAccessKey
+    // Pre-signed URL mode: no AWS credentials in the extension
+    if (isPresignedMode(config)) {
+      if (!config.signerUrl) {
+        throw new Error('AWS signer URL is not configured');
       }
-    });
 
-    // Create filename using domain name
-    const filename = `${domain}.json`;
-    const jsonData = JSON.stringify(cookieData, null, 2);
+      await uploadWithPresignedUrl(config, domain, filename, body, contentType, signal);
+
+      return {
+        success: true,
+        service: 'aws',
+        filename,
+        message: 'Successfully uploaded to AWS S3'
+      };
+    }
+
+    if (!config.accessKeyId || !config.secretAccessKey || !config.bucket || !config.region) {
+      throw new Error('AWS configuration is incomplete');
+    }
 
     // Upload to S3
     const command = new PutObjectCommand({
       Bucket: config.bucket,
       Key: filename,
-      Body: jsonData,
-      ContentType: 'application/json'
+      Body: body,
+      ContentType: contentType
     });
 
-    await s3Client.send(command);
+    await withS3Client(config, s3Client => s3Client.send(command, { abortSignal: signal }));
 
     return {
       success: true,
@@ -175,34 +394,132 @@ export async function uploadToAWS(cookieData, config, domain) {
   }
 }
 
+/**
+ * Compute a hex HMAC-SHA256 signature
+ * @param {string} secret - Signing secret
+ * @param {string} body - Request body
+ * @returns {Promise<string>} Hex digest
+ */
+async function hmacSha256Hex(secret, body) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Send a body to the configured webhook
+ * @param {Object} config - Webhook configuration
+ * @param {string} body - Request body
+ * @param {Object} extraHeaders - Additional headers
+ * @param {string} contentType - Content type of the body
+ * @param {AbortSignal} signal - Optional signal cancelling the request before the webhook timeout
+ * @returns {Promise<Response>} Successful response
+ */
+async function sendWebhookRequest(config, body, extraHeaders = {}, contentType = 'application/json', signal = null) {
+  const headers = {
+    ...parseHeaderLines(config.headers),
+    ...extraHeaders,
+    'Content-Type': contentType
+  };
+
+  if (config.hmacSecret) {
+    const signature = await hmacSha256Hex(config.hmacSecret, body);
+    headers[config.signatureHeader || 'X-Cookie-Sync-Signature'] = `sha256=${signature}`;
+  }
+
+  const controller = new AbortController();
+  const timeoutMs = (Number(config.timeoutSeconds) || 10) * 1000;
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+
+  try {
+    const response = await fetch(config.url, {
+      method: config.method === 'PUT' ? 'PUT' : 'POST',
+      headers,
+      body,
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Webhook timed out after ${timeoutMs / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Upload cookies to a generic HTTPS webhook
+ * @param {Object|string} cookieData - Formatted cookie data, or file text for text output formats
+ * @param {Object} config - Webhook configuration
+ * @param {string} domain - Domain name for filename
+ * @param {string} filename - File name sent in the X-Cookie-Sync-Filename header
+ * @param {Object} options - { signal: AbortSignal cancelling the request }
+ * @returns {Promise<Object>} Upload result
+ */
+export async function uploadToWebhook(cookieData, config, domain, filename = `${domain}.json`, { signal } = {}) {
+  try {
+    if (!config.url) {
+      throw new Error('Webhook configuration is incomplete');
+    }
+    if (!validateWebhookUrl(config.url)) {
+      throw new Error('Webhook URL must use HTTPS (HTTP is only allowed for localhost)');
+    }
+
+    const { body, contentType } = serializePayload(cookieData);
+    await sendWebhookRequest(config, body, {
+      'X-Cookie-Sync-Event': 'sync',
+      'X-Cookie-Sync-Domain': domain,
+      'X-Cookie-Sync-Filename': filename
+    }, contentType, signal);
+
+    return {
+      success: true,
+      service: 'webhook',
+      filename,
+      message: 'Successfully sent to webhook'
+    };
+  } catch (error) {
+    console.error('Webhook upload error:', error);
+    return {
+      success: false,
+      service: 'webhook',
+      error: error.message || 'Unknown error'
+    };
+  }
+}
+
 /**
  * Test Firebase connection
+ * Authenticates with the service account and lists one object from the bucket
  * @param {Object} config - Firebase configuration
  * @returns {Promise<Object>} Test result
  */
 export async function testFirebaseConnection(config) {
   try {
-    if (!config.projectId || !config.bucket) {
+    if (!config.projectId || !config.bucket || !config.serviceAccountKey) {
       return { success: false, error: 'Configuration is incomplete' };
     }
 
-    // Try to initialize Firebase
-    const firebaseConfig = {
-      projectId: config.projectId,
-      storageBucket: config.bucket
-    };
-
-    const app = initializeApp(firebaseConfig);
-    const storage = getStorage(app);
+    const bucket = normalizeFirebaseBucket(config.bucket);
+    await firebaseRequest(config, `${GCS_API_BASE}/b/${encodeURIComponent(bucket)}/o?maxResults=1`);
 
-    // Try to create a reference (this will validate the config)
-    const testRef = ref(storage, 'test_connection.json');
-    
-    // Note: Actual upload test requires proper authentication
-    // This just validates the configuration format
     return {
       success: true,
-      message: 'Firebase configuration valid. Ensure Storage rules allow writes.'
+      message: 'Firebase connection successful'
     };
   } catch (error) {
     return {
@@ -223,12 +540,10 @@ export async function testSupabaseConnection(config) {
       return { success: false, error: 'Configuration is incomplete' };
     }
 
-    const supabase = createClient(config.url, config.apiKey);
-
     // Try to list buckets or check access
-    const { data, error } = await supabase.storage.from(config.bucket).list('', {
+    const { data, error } = await withSupabaseClient(config, supabase => supabase.storage.from(config.bucket).list('', {
       limit: 1
-    });
+    }));
 
     if (error) {
       throw error;
@@ -253,21 +568,27 @@ export async function testSupabaseConnection(config) {
  */
 export async function testAWSConnection(config) {
   try {
+    if (isPresignedMode(config)) {
+      if (!config.signerUrl) {
+        return { success: false, error: 'Signer URL is not configured' };
+      }
+
+      // Only checks that the signer issues a URL; nothing is uploaded
+      await requestPresignedUrl(config, 'test', '.cookie-sync-test.json');
+
+      return {
+        success: true,
+        message: 'Signer returned a pre-signed URL'
+      };
+    }
+
     if (!config.accessKeyId || !config.secretAccessKey || !config.bucket || !config.region) {
       return { success: false, error: 'Configuration is incomplete' };
     }
 
-    const s3Client = new S3Client({
-      region: config.region,
-      credentials: {
-        accessKeyId: config.accessKeyId,
-        secretAccessKey: config.secretAccessKey
-      }
-    });
-
     // Try to head the bucket (check if we have access)
     const command = new HeadBucketCommand({ Bucket: config.bucket });
-    await s3Client.send(command);
+    await withS3Client(config, s3Client => s3Client.send(command));
 
     return {
       success: true,
@@ -281,50 +602,628 @@ export async function testAWSConnection(config) {
   }
 }
 
+/**
+ * Test webhook connection
+ * Sends a small test event with the configured headers and signature
+ * @param {Object} config - Webhook configuration
+ * @returns {Promise<Object>} Test result
+ */
+export async function testWebhookConnection(config) {
+  try {
+    if (!config.url) {
+      return { success: false, error: 'Configuration is incomplete' };
+    }
+    if (!validateWebhookUrl(config.url)) {
+      return { success: false, error: 'Webhook URL must use HTTPS (HTTP is only allowed for localhost)' };
+    }
+
+    const body = JSON.stringify({ test: true, timestamp: Date.now() });
+    const response = await sendWebhookRequest(config, body, { 'X-Cookie-Sync-Event': 'test' });
+
+    return {
+      success: true,
+      message: `Webhook responded with status ${response.status}`
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message || 'Connection failed'
+    };
+  }
+}
+
+/**
+ * Download a file from Firebase Storage
+ * @param {Object} config - Firebase configuration
+ * @param {string} filename - Object name
+ * @returns {Promise<Object>} Download result with file contents as text
+ */
+export async function downloadFromFirebase(config, filename) {
+  try {
+    if (!config.projectId || !config.bucket || !config.serviceAccountKey) {
+      throw new Error('Firebase configuration is incomplete');
+    }
+
+    const bucket = normalizeFirebaseBucket(config.bucket);
+    const url = `${GCS_API_BASE}/b/${encodeURIComponent(bucket)}/o/${encodeURIComponent(filename)}?alt=media`;
+    const response = await firebaseRequest(config, url);
+
+    return {
+      success: true,
+      service: 'firebase',
+      filename,
+      content: await response.text()
+    };
+  } catch (error) {
+    console.error('Firebase download error:', error);
+    return {
+      success: false,
+      service: 'firebase',
+      error: error.message || 'Unknown error'
+    };
+  }
+}
+
+/**
+ * Download a file from Supabase Storage
+ * @param {Object} config - Supabase configuration
+ * @param {string} filename - Object name
+ * @returns {Promise<Object>} Download result with file contents as text
+ */
+export async function downloadFromSupabase(config, filename) {
+  try {
+    if (!config.url || !config.apiKey || !config.bucket) {
+      throw new Error('Supabase configuration is incomplete');
+    }
+
+    const { data, error } = await withSupabaseClient(config, supabase => supabase.storage.from(config.bucket).download(filename));
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      service: 'supabase',
+      filename,
+      content: await data.text()
+    };
+  } catch (error) {
+    console.error('Supabase download error:', error);
+    return {
+      success: false,
+      service: 'supabase',
+      error: error.message || 'Unknown error'
+    };
+  }
+}
+
+/**
+ * Download a file from AWS S3
+ * @param {Object} config - AWS configuration
+ * @param {string} filename - Object key
+ * @returns {Promise<Object>} Download result with file contents as text
+ */
+export async function downloadFromAWS(config, filename) {
+  try {
+    if (!config.accessKeyId || !config.secretAccessKey || !config.bucket || !config.region) {
+      throw new Error('AWS configuration is incomplete');
+    }
+
+    // The body is a stream read through the client, so it is read before the client is released
+    const content = await withS3Client(config, async s3Client => {
+      const response = await s3Client.send(new GetObjectCommand({
+        Bucket: config.bucket,
+        Key: filename
+      }));
+      return response.Body.transformToString();
+    });
+
+    return {
+      success: true,
+      service: 'aws',
+      filename,
+      content
+    };
+  } catch (error) {
+    console.error('AWS download error:', error);
+    return {
+      success: false,
+      service: 'aws',
+      error: error.message || 'Unknown error'
+    };
+  }
+}
+
+/**
+ * List object keys under a prefix in Firebase Storage
+ * @param {Object} config - Firebase configuration
+ * @param {string} prefix - Key prefix (folder path without trailing slash)
+ * @param {Object} options - { signal: AbortSignal cancelling the requests }
+ * @returns {Promise<Array<string>>} Object keys
+ */
+export async function listFirebaseObjects(config, prefix, { signal } = {}) {
+  const bucket = normalizeFirebaseBucket(config.bucket);
+  const keys = [];
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({ prefix: `${prefix}/`, fields: 'items(name),nextPageToken' });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const response = await firebaseRequest(config, `${GCS_API_BASE}/b/${encodeURIComponent(bucket)}/o?${params}`, { signal });
+    const body = await response.json();
+    (body.items || []).forEach(item => keys.push(item.name));
+    pageToken = body.nextPageToken || null;
+  } while (pageToken);
+
+  return keys;
+}
+
+/**
+ * Delete objects from Firebase Storage
+ * @param {Object} config - Firebase configuration
+ * @param {Array<string>} keys - Object keys to delete
+ * @param {Object} options - { signal: AbortSignal cancelling the requests }
+ * @returns {Promise<void>}
+ */
+export async function deleteFirebaseObjects(config, keys, { signal } = {}) {
+  const bucket = normalizeFirebaseBucket(config.bucket);
+  for (const key of keys) {
+    await firebaseRequest(config, `${GCS_API_BASE}/b/${encodeURIComponent(bucket)}/o/${encodeURIComponent(key)}`, {
+      method: 'DELETE',
+      signal
+    });
+  }
+}
+
+/**
+ * List object keys under a prefix in Supabase Storage
+ * @param {Object} config - Supabase configuration
+ * @param {string} prefix - Folder path without trailing slash
+ * @param {Object} options - { signal: AbortSignal cancelling the requests }
+ * @returns {Promise<Array<string>>} Object keys
+ */
+export async function listSupabaseObjects(config, prefix, { signal } = {}) {
+  return withSupabaseClient(config, async supabase => {
+    const keys = [];
+    const limit = 1000;
+    let offset = 0;
+
+    while (true) {
+      const { data, error } = await supabase.storage.from(config.bucket).list(prefix, { limit, offset }, { signal });
+      if (error) {
+        throw error;
+      }
+      data.forEach(item => keys.push(`${prefix}/${item.name}`));
+      if (data.length < limit) break;
+      offset += limit;
+    }
+
+    return keys;
+  });
+}
+
+/**
+ * Delete objects from Supabase Storage
+ * @param {Object} config - Supabase configuration
+ * @param {Array<string>} keys - Object keys to delete
+ * @param {Object} options - { signal: AbortSignal; supabase-js deletes take no signal, so it is only checked before
+ *   starting (each request is bounded by SUPABASE_REQUEST_TIMEOUT_MS instead) }
+ * @returns {Promise<void>}
+ */
+export async function deleteSupabaseObjects(config, keys, { signal } = {}) {
+  if (keys.length === 0) return;
+  signal?.throwIfAborted();
+
+  const { error } = await withSupabaseClient(config, supabase => supabase.storage.from(config.bucket).remove(keys));
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * List object keys under a prefix in AWS S3
+ * @param {Object} config - AWS configuration
+ * @param {string} prefix - Key prefix (folder path without trailing slash)
+ * @param {Object} options - { signal: AbortSignal cancelling the requests }
+ * @returns {Promise<Array<string>>} Object keys
+ */
+export async function listAWSObjects(config, prefix, { signal } = {}) {
+  return withS3Client(config, async s3Client => {
+    const keys = [];
+    let continuationToken;
+
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: config.bucket,
+        Prefix: `${prefix}/`,
+        ContinuationToken: continuationToken
+      }), { abortSignal: signal });
+      (response.Contents || []).forEach(item => keys.push(item.Key));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return keys;
+  });
+}
+
+/**
+ * Delete objects from AWS S3
+ * @param {Object} config - AWS configuration
+ * @param {Array<string>} keys - Object keys to delete
+ * @param {Object} options - { signal: AbortSignal cancelling the requests }
+ * @returns {Promise<void>}
+ */
+export async function deleteAWSObjects(config, keys, { signal } = {}) {
+  await withS3Client(config, async s3Client => {
+    // DeleteObjects accepts at most 1000 keys per request
+    for (let i = 0; i < keys.length; i += 1000) {
+      await s3Client.send(new DeleteObjectsCommand({
+        Bucket: config.bucket,
+        Delete: {
+          Objects: keys.slice(i, i + 1000).map(Key => ({ Key })),
+          Quiet: true
+        }
+      }), { abortSignal: signal });
+    }
+  });
+}
+
+/**
+ * Check whether a service supports reading, listing and deleting objects
+ * Webhooks and AWS pre-signed URL mode can only upload
+ * @param {string} service - Service name
+ * @param {Object} serviceConfig - Service configuration
+ * @returns {boolean} True if bucket operations are available
+ */
+function supportsBucketOperations(service, serviceConfig) {
+  if (!SERVICE_HANDLERS[service]?.list) return false;
+  if (service === 'aws' && isPresignedMode(serviceConfig)) return false;
+  return true;
+}
+
+// Per-service storage operations
+const SERVICE_HANDLERS = {
+  firebase: {
+    upload: uploadToFirebase,
+    download: downloadFromFirebase,
+    list: listFirebaseObjects,
+    remove: deleteFirebaseObjects
+  },
+  supabase: {
+    upload: uploadToSupabase,
+    download: downloadFromSupabase,
+    list: listSupabaseObjects,
+    remove: deleteSupabaseObjects
+  },
+  aws: {
+    upload: uploadToAWS,
+    download: downloadFromAWS,
+    list: listAWSObjects,
+    remove: deleteAWSObjects
+  },
+  // Push-only destination: no download, listing or history
+  webhook: {
+    upload: uploadToWebhook
+  }
+};
+
+// Maximum parallel uploads per service, shared by all syncs and retries of this worker
+const SERVICE_UPLOAD_CONCURRENCY = {
+  firebase: 4,
+  supabase: 4,
+  aws: 4,
+  webhook: 2
+};
+
+// Time one (domain, service) upload may take, including its history snapshot;
+// it then fails with a timeout error and its requests are aborted
+const UPLOAD_TIMEOUT_MS = 60000;
+
+const uploadLimiters = Object.fromEntries(
+  Object.entries(SERVICE_UPLOAD_CONCURRENCY).map(([service, limit]) => [service, createLimiter(limit)])
+);
+
+/**
+ * Write a history snapshot and latest pointer, then prune by retention policy
+ * The payload is uploaded as-is (already encrypted when encryption is on)
+ * @param {string} service - Service name
+ * @param {Object} serviceConfig - Service configuration
+ * @param {Object} payload - Uploaded payload
+ * @param {string} domain - Domain name
+ * @param {Object} history - History configuration
+ * @param {AbortSignal} signal - Optional signal cancelling the snapshot and pruning
+ * @returns {Promise<Object>} { snapshot, pruned } or { error }
+ */
+async function writeHistorySnapshot(service, serviceConfig, payload, domain, history, signal = null) {
+  const handler = SERVICE_HANDLERS[service];
+  if (!supportsBucketOperations(service, serviceConfig)) {
+    return { error: `History is not supported for ${service}` };
+  }
+
+  try {
+    const timestamp = Date.now();
+    const snapshotKey = getSnapshotKey(domain, timestamp);
+
+    const snapshotResult = await handler.upload(payload, serviceConfig, domain, snapshotKey, { signal });
+    if (!snapshotResult.success) {
+      throw new Error(snapshotResult.error);
+    }
+
+    const pointerResult = await handler.upload(
+      createLatestPointer(snapshotKey, timestamp),
+      serviceConfig,
+      domain,
+      getLatestPointerKey(domain),
+      { signal }
+    );
+    if (!pointerResult.success) {
+      throw new Error(pointerResult.error);
+    }
+
+    const snapshots = parseSnapshotKeys(await handler.list(serviceConfig, getHistoryFolder(domain), { signal }));
+    const toPrune = selectSnapshotsToPrune(snapshots, history, timestamp);
+    if (toPrune.length > 0) {
+      await handler.remove(serviceConfig, toPrune, { signal });
+    }
+
+    return { snapshot: snapshotKey, pruned: toPrune.length };
+  } catch (error) {
+    console.error(`History snapshot error (${service}):`, error);
+    return { error: error.message || 'Unknown error' };
+  }
+}
+
+/**
+ * List history snapshots for a domain on a service
+ * @param {string} service - Service name
+ * @param {string} domain - Domain name
+ * @returns {Promise<Object>} { success, snapshots: Array<{key, timestamp}> } or { success: false, error }
+ */
+export async function listSnapshots(service, domain) {
+  try {
+    const config = await getConfig();
+    const handler = SERVICE_HANDLERS[service];
+    if (!supportsBucketOperations(service, config.services[service])) {
+      throw new Error(`History is not supported for ${service}`);
+    }
+
+    const keys = await handler.list(config.services[service], getHistoryFolder(domain));
+    return { success: true, service, domain, snapshots: parseSnapshotKeys(keys) };
+  } catch (error) {
+    return { success: false, service, domain, error: error.message || 'Could not list snapshots' };
+  }
+}
+
+/**
+ * Restore a history snapshot as the current [domain].json and latest pointer
+ * The stored upload hash is cleared, so the next sync uploads the live data even if it has not changed
+ * @param {string} service - Service name
+ * @param {string} domain - Domain name
+ * @param {string} snapshotKey - Key of the snapshot to restore
+ * @returns {Promise<Object>} Upload result
+ */
+export async function restoreSnapshot(service, domain, snapshotKey) {
+  try {
+    const config = await getConfig();
+    const serviceConfig = config.services[service];
+    const handler = SERVICE_HANDLERS[service];
+    if (!supportsBucketOperations(service, serviceConfig)) {
+      throw new Error(`History is not supported for ${service}`);
+    }
+
+    const download = await handler.download(serviceConfig, snapshotKey);
+    if (!download.success) {
+      throw new Error(download.error);
+    }
+
+    const payload = JSON.parse(download.content);
+    const result = await handler.upload(payload, serviceConfig, domain);
+    if (!result.success) {
+      return { ...result, domain };
+    }
+    await clearUploadHash(domain, service);
+
+    const timestamp = parseSnapshotKeys([snapshotKey])[0]?.timestamp || Date.now();
+    await handler.upload(createLatestPointer(snapshotKey, timestamp), serviceConfig, domain, getLatestPointerKey(domain));
+
+    return { ...result, domain, snapshot: snapshotKey };
+  } catch (error) {
+    return { success: false, service, domain, error: error.message || 'Restore failed' };
+  }
+}
+
+/**
+ * Download and decrypt the synced payload for a domain from a service
+ * @param {string} service - Service name ('firebase', 'supabase' or 'aws')
+ * @param {string} domain - Domain name for filename
+ * @returns {Promise<Object>} Result with the decrypted cookie data
+ */
+export async function downloadFromService(service, domain) {
+  const config = await getConfig();
+  const serviceConfig = config.services[service];
+
+  if (!serviceConfig?.enabled) {
+    return { success: false, service, domain, error: `Service ${service} is not enabled` };
+  }
+
+  const handler = SERVICE_HANDLERS[service];
+  if (!handler) {
+    return { success: false, service, domain, error: `Unknown service: ${service}` };
+  }
+  if (!supportsBucketOperations(service, serviceConfig)) {
+    return { success: false, service, domain, error: `Pull is not supported for ${service} in this mode` };
+  }
+
+  const domainConfig = config.targetDomains.find(d => d.domain === domain);
+  if (!getDomainOutputFormats(domainConfig).includes('json')) {
+    return { success: false, service, domain, error: 'Pull requires the JSON output format for this domain' };
+  }
+
+  const result = await handler.download(serviceConfig, `${domain}.json`);
+  if (!result.success) {
+    return { ...result, domain };
+  }
+
+  try {
+    const parsed = JSON.parse(result.content);
+
+    if (isEncryptedEnvelope(parsed)) {
+      if (parsed.mode === 'recipients') {
+        throw new Error('File is encrypted for recipient keys and cannot be decrypted in the browser');
+      }
+      if (!config.encryption?.passphrase) {
+        throw new Error('File is encrypted but no passphrase is configured');
+      }
+    }
+
+    const cookieData = await decryptPayload(parsed, config.encryption?.passphrase);
+
+    return {
+      success: true,
+      service,
+      domain,
+      filename: result.filename,
+      cookieData
+    };
+  } catch (error) {
+    return {
+      success: false,
+      service,
+      domain,
+      error: error.message || 'Could not read downloaded file'
+    };
+  }
+}
+
+/**
+ * Upload the rendered files of a domain to one service
+ * @param {string} service - Service name
+ * @param {Object} config - Extension configuration
+ * @param {string} domain - Domain name
+ * @param {Array<Object>} outputs - Rendered files { format, filename, payload }
+ * @param {AbortSignal} signal - Optional signal; once aborted, no further file or snapshot is started
+ * @returns {Promise<Object>} Upload result; fails if any file fails
+ */
+async function uploadOutputsToService(service, config, domain, outputs, signal = null) {
+  const serviceConfig = config.services[service];
+  const handler = SERVICE_HANDLERS[service];
+
+  // One file per output format; the service result fails if any file fails
+  const fileResults = [];
+  for (const output of outputs) {
+    signal?.throwIfAborted();
+    fileResults.push(await handler.upload(output.payload, serviceConfig, domain, output.filename, { signal }));
+  }
+  const result = {
+    ...(fileResults.find(r => !r.success) || fileResults[0]),
+    files: fileResults.filter(r => r.success).map(r => r.filename)
+  };
+
+  // Keep a timestamped snapshot of the JSON file alongside the current file
+  const jsonOutput = outputs.find(output => output.format === 'json');
+  if (result.success && jsonOutput && config.history?.enabled && supportsBucketOperations(service, serviceConfig)) {
+    result.history = await writeHistorySnapshot(service, serviceConfig, jsonOutput.payload, domain, config.history, signal);
+  }
+
+  return result;
+}
+
 /**
  * Upload cookies to all enabled services
+ * Services are uploaded to in parallel, within each service's concurrency limit
+ * Services whose last successful upload of this domain had the same content are skipped
+ * (result { success: true, skipped: 'unchanged' }) unless the upload is forced
  * @param {Object} cookieData - Formatted cookie data
  * @param {string} domain - Domain name for filename
+ * @param {Array<string>|null} onlyServices - Optional subset of services to upload to (e.g. for retries)
+ * @param {Object} options - { force: upload even if the content is unchanged }
  * @returns {Promise<Array>} Array of upload results
  */
-export async function uploadToEnabledServices(cookieData, domain) {
+export async function uploadToEnabledServices(cookieData, domain, onlyServices = null, { force = false } = {}) {
   const config = await getConfig();
-  const results = [];
+  const isSelected = service => config.services[service]?.enabled &&
+    (!onlyServices || onlyServices.includes(service));
+  const domainConfig = config.targetDomains.find(d => d.domain === domain);
+  const formats = getDomainOutputFormats(domainConfig);
 
-  // Upload to Firebase if enabled
-  if (config.services.firebase?.enabled) {
-    const result = await uploadToFirebase(cookieData, config.services.firebase, domain);
-    results.push(result);
+  // Content hash per selected service, compared with the last successful upload
+  const previousHashes = await getUploadHashes(domain);
+  const uploadHashes = {};
+  for (const service of Object.keys(SERVICE_HANDLERS).filter(isSelected)) {
+    uploadHashes[service] = await computeUploadHash(cookieData, {
+      service: config.services[service],
+      formats,
+      encryption: config.encryption
+    });
   }
+  const selectedServices = Object.keys(uploadHashes);
+  const isUnchanged = service => !force && previousHashes[service] === uploadHashes[service];
+  const skippedResult = service => ({ success: true, service, skipped: 'unchanged', files: [] });
 
-  // Upload to Supabase if enabled
-  if (config.services.supabase?.enabled) {
-    const result = await uploadToSupabase(cookieData, config.services.supabase, domain);
-    results.push(result);
+  if (selectedServices.every(isUnchanged)) {
+    return selectedServices.map(skippedResult);
   }
 
-  // Upload to AWS if enabled
-  if (config.services.aws?.enabled) {
-    const result = await uploadToAWS(cookieData, config.services.aws, domain);
-    results.push(result);
+  // Render and encrypt every output format once before any upload so no service ever receives plaintext
+  let outputs;
+  try {
+    outputs = await Promise.all(formats.map(async format => ({
+      format,
+      filename: getOutputFilename(domain, format, Boolean(config.encryption?.enabled)),
+      payload: await encryptPayload(renderOutput(cookieData, domain, format), config.encryption)
+    })));
+  } catch (error) {
+    console.error('Encryption error:', error);
+    return selectedServices.map(service => isUnchanged(service) ? skippedResult(service) : {
+      success: false,
+      service,
+      error: `Encryption failed: ${error.message}`
+    });
   }
 
-  return results;
+  // Upload to each enabled service (results keep the service order)
+  return Promise.all(selectedServices.map(async service => {
+    if (isUnchanged(service)) {
+      return skippedResult(service);
+    }
+
+    let result;
+    try {
+      result = await uploadLimiters[service](
+        signal => uploadOutputsToService(service, config, domain, outputs, signal),
+        {
+          timeoutMs: UPLOAD_TIMEOUT_MS,
+          timeoutMessage: `Upload timed out after ${UPLOAD_TIMEOUT_MS / 1000} seconds`
+        }
+      );
+    } catch (error) {
+      console.error(`Upload error (${service}):`, error);
+      result = { success: false, service, error: error.message || 'Unknown error' };
+    }
+
+    if (result.success) {
+      await recordUploadHash(domain, service, uploadHashes[service]);
+    }
+
+    return result;
+  }));
 }
 
 /**
  * Upload cookies for all domains to all enabled services
+ * Domains are uploaded in parallel; per-service concurrency limits bound the requests in flight
  * @param {Array} domainCookies - Array of {domain, cookieData} objects
- * @returns {Promise<Array>} Array of upload results
+ * @param {Object} options - { force: upload even if the content is unchanged }
+ * @returns {Promise<Array>} Array of upload results, in domain order then service order
  */
-export async function uploadAllDomainsToEnabledServices(domainCookies) {
-  const allResults = [];
-  
-  for (const { domain, cookieData } of domainCookies) {
-    const results = await uploadToEnabledServices(cookieData, domain);
-    allResults.push(...results.map(r => ({ ...r, domain })));
-  }
-  
-  return allResults;
+export async function uploadAllDomainsToEnabledServices(domainCookies, options = {}) {
+  const domainResults = await Promise.all(domainCookies.map(async ({ domain, cookieData }) => {
+    const results = await uploadToEnabledServices(cookieData, domain, null, options);
+    return results.map(r => ({ ...r, domain }));
+  }));
+
+  return domainResults.flat();
 }
 
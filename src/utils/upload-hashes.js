@@ -0,0 +1,110 @@
+/**
+ * Upload Hashes Module
+ * Content hash of the last successful upload per (domain, service), so uploads
+ * whose payload has not changed since can be skipped
+ */
+
+import { hashValue } from './hash.js';
+import { updateStoredValue } from './exclusive.js';
+
+// Storage key for the hashes ({ [domain]: { [service]: hash } })
+const HASHES_STORAGE_KEY = 'uploadHashes';
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal content gives equal text
+ * @param {*} value - JSON-compatible value
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Get the part of a payload that identifies its content
+ * The capture timestamp and per-path lastSeen times change on every capture, so they are left out
+ * @param {Object} cookieData - Formatted cookie data
+ * @returns {Object} Payload without timestamps
+ */
+function getHashedContent(cookieData) {
+  const { timestamp, ...content } = cookieData;
+
+  if (content.paths) {
+    content.paths = Object.fromEntries(
+      Object.entries(content.paths).map(([ruleKey, { lastSeen, ...entry }]) => [ruleKey, entry])
+    );
+  }
+
+  return content;
+}
+
+/**
+ * Compute the content hash of an upload
+ * Upload settings (service configuration, output formats, encryption) are part of the hash,
+ * so changing where or how a domain is written uploads it again
+ * @param {Object} cookieData - Formatted cookie data
+ * @param {Object} settings - Upload settings of the (domain, service) pair
+ * @returns {Promise<string>} "sha256:<hex>"
+ */
+export async function computeUploadHash(cookieData, settings) {
+  return hashValue(stableStringify({ content: getHashedContent(cookieData), settings }));
+}
+
+/**
+ * Get the hashes of the last successful uploads of a domain
+ * @param {string} domain - Domain name
+ * @returns {Promise<Object>} { [service]: hash }
+ */
+export async function getUploadHashes(domain) {
+  try {
+    const result = await chrome.storage.local.get([HASHES_STORAGE_KEY]);
+    return (result[HASHES_STORAGE_KEY] || {})[domain] || {};
+  } catch (error) {
+    console.error('Error reading upload hashes:', error);
+    return {};
+  }
+}
+
+/**
+ * Remember the hash of a successful upload
+ * @param {string} domain - Domain name
+ * @param {string} service - Service name
+ * @param {string} hash - Content hash (see computeUploadHash)
+ * @returns {Promise<void>}
+ */
+export async function recordUploadHash(domain, service, hash) {
+  try {
+    await updateStoredValue(HASHES_STORAGE_KEY, (hashes = {}) => ({
+      ...hashes,
+      [domain]: { ...hashes[domain], [service]: hash }
+    }));
+  } catch (error) {
+    console.error('Error recording upload hash:', error);
+  }
+}
+
+/**
+ * Forget the hash of the last upload of a domain to a service, so its next sync uploads again
+ * @param {string} domain - Domain name
+ * @param {string} service - Service name
+ * @returns {Promise<void>}
+ */
+export async function clearUploadHash(domain, service) {
+  try {
+    await updateStoredValue(HASHES_STORAGE_KEY, (hashes = {}) => {
+      const { [service]: removed, ...rest } = hashes[domain] || {};
+      return { ...hashes, [domain]: rest };
+    });
+  } catch (error) {
+    console.error('Error clearing upload hash:', error);
+  }
+}
